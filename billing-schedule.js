@@ -0,0 +1,95 @@
+/**
+ * @cfs/date-helpers - billing schedules
+ *
+ * Interim invoices for open-ended hires: the billing periods of a hire, each counted with
+ * countCfsBusinessDays and invoiced on its first business day.
+ */
+
+import { addDays, isBefore } from "date-fns";
+import { TZDate } from "@date-fns/tz";
+
+import { assertBillingCycle, getBillingAnniversary } from "./billing.js";
+import { getCalendarSettings, resolveHolidays, resolveNow } from "./calendar.js";
+import { countCfsBusinessDays, isBusinessDay, nextBusinessDay } from "./core.js";
+import { InvalidArgumentError } from "./errors.js";
+import { isCompiledHolidays, toDayNumber } from "./holidays.js";
+import { parseDateInput } from "./inputs.js";
+
+// Most periods a billing schedule emits, about 100 years of weekly billing
+const MAX_BILLING_PERIODS = 5218;
+
+/**
+ * Build the billing periods of a hire, e.g. for interim invoices on an open-ended rental
+ *
+ * Period n runs from the nth anniversary of charge_start to the day before the next one, and is
+ * invoiced on its first day, moved forward past weekends and holidays to the next business day.
+ * Without `until` the schedule runs through the period in progress at `now`, in full, so a hire
+ * that hasn't started yet has no periods. With `until`, the last period ends at `until`.
+ * @param {object} schedule
+ * @param {DateInput} schedule.charge_start - Charge start, the first period's start
+ * @param {"weekly"|"4-weekly"|"monthly"} schedule.cycle - Billing cycle
+ * @param {DateInput} [schedule.until] - End of the hire, if known
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {object|number|Function} [options.now] - Current moment, for open-ended schedules
+ * @param {object} [options.labels] - formatPeriod options for label and periodLabel, e.g. `{ locale: "es" }`
+ * @returns {Array<{ index: number, start: string, end: string, invoiceDate: string, partial: boolean, chargeDays: number,
+ *   chargeWeeks: number, label: string, periodLabel: string }>} Periods in order. start, end and invoiceDate are ISO
+ *   strings in the calendar's time zone; end keeps the start's time of day, or is `until` for a period it cuts short
+ *   (`partial`). chargeDays, chargeWeeks and the labels are countCfsBusinessDays' days, weeks, label and periodLabel
+ * @throws {DateHelpersError} If schedule is not an object, a date or the cycle is invalid, until is before charge_start,
+ *   the schedule would exceed MAX_BILLING_PERIODS periods, or holidays is not an array
+ */
+export function buildBillingSchedule(schedule, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  if (!schedule || typeof schedule !== "object") {
+    throw new InvalidArgumentError("schedule must be an object with charge_start and cycle", { field: "schedule", value: schedule });
+  }
+  const chargeStart = parseDateInput(schedule.charge_start, "charge_start", calendar.timeZone, "charge_start is not a valid date");
+  assertBillingCycle(schedule.cycle, "cycle");
+  const hasUntil = schedule.until !== undefined && schedule.until !== null;
+  const until = hasUntil ? parseDateInput(schedule.until, "until", calendar.timeZone, "until is not a valid date") : null;
+  if (until && isBefore(until, chargeStart)) {
+    throw new InvalidArgumentError("until is before charge_start", { field: "until", value: schedule.until });
+  }
+  if (!Array.isArray(holidays) && !isCompiledHolidays(holidays)) {
+    throw new InvalidArgumentError("holidays must be an array", { field: "holidays", value: holidays });
+  }
+  const compiled = resolveHolidays(holidays, calendar);
+  const countOptions = { calendar: options.calendar, labels: options.labels };
+
+  const lastDay = toDayNumber(until || resolveNow(calendar, options), calendar.timeZone);
+  const anniversary = (n) => getBillingAnniversary(chargeStart, schedule.cycle, n, calendar.timeZone);
+
+  const periods = [];
+  for (let n = 0; toDayNumber(anniversary(n), calendar.timeZone) <= lastDay; n++) {
+    if (n === MAX_BILLING_PERIODS) {
+      throw new InvalidArgumentError(`schedule covers more than ${MAX_BILLING_PERIODS} billing periods`, {
+        field: hasUntil ? "until" : "charge_start",
+        value: hasUntil ? schedule.until : schedule.charge_start,
+      });
+    }
+    const start = anniversary(n);
+    let end = addDays(anniversary(n + 1), -1);
+    const partial = Boolean(until) && toDayNumber(end, calendar.timeZone) > lastDay;
+    if (partial) {
+      end = new TZDate(+until, calendar.timeZone);
+    }
+    const invoiceDate = isBusinessDay(start, compiled, countOptions) ? start : nextBusinessDay(start, compiled, countOptions);
+    const { days, weeks, label, periodLabel } = countCfsBusinessDays(start, end, compiled, countOptions);
+
+    periods.push({
+      index: n,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      invoiceDate: invoiceDate.toISOString(),
+      partial,
+      chargeDays: days,
+      chargeWeeks: weeks,
+      label,
+      periodLabel,
+    });
+  }
+  return periods;
+}
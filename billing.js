@@ -0,0 +1,50 @@
+/**
+ * @cfs/date-helpers - billing cycles
+ *
+ * Long-term rentals are billed by cycle instead of by day count: weekly, calendar-month
+ * anniversaries of the charge start ("monthly"), or 4-week rental months ("4-weekly").
+ * Anniversaries are always counted from the charge start, not from the previous one, so a
+ * rental starting on the 31st bills on the last day of shorter months and returns to the
+ * 31st after them. getDuration reports cycles with these; billing-schedule.js builds the
+ * interim billing periods of open-ended hires from them.
+ */
+
+import { addDays, addMonths } from "date-fns";
+import { TZDate } from "@date-fns/tz";
+
+import { InvalidArgumentError } from "./errors.js";
+
+/**
+ * Billing cycles, and the length of one cycle
+ */
+export const BILLING_CYCLES = Object.freeze({
+  "weekly": Object.freeze({ days: 7 }),
+  "4-weekly": Object.freeze({ days: 28 }),
+  "monthly": Object.freeze({ months: 1 }),
+});
+
+/**
+ * Throw unless a billing cycle is known
+ * @param {*} cycle - Billing cycle name
+ * @param {string} field - Argument name for the error
+ * @throws {InvalidArgumentError} If cycle is not a key of BILLING_CYCLES
+ */
+export function assertBillingCycle(cycle, field) {
+  if (!Object.hasOwn(BILLING_CYCLES, cycle)) {
+    throw new InvalidArgumentError(`${field} must be one of: ${Object.keys(BILLING_CYCLES).join(", ")}`, { field, value: cycle });
+  }
+}
+
+/**
+ * Get the nth anniversary of a charge start, before any roll past weekends and holidays
+ * @param {object} start - Charge start
+ * @param {string} cycle - Key of BILLING_CYCLES
+ * @param {number} n - Whole cycles after the start, 0 for the start itself
+ * @param {string} timeZone - Calendar time zone
+ * @returns {object} TZDate in the calendar's time zone, with the start's time of day
+ */
+export function getBillingAnniversary(start, cycle, n, timeZone) {
+  const local = new TZDate(+start, timeZone);
+  const { days, months } = BILLING_CYCLES[cycle];
+  return months ? addMonths(local, months * n) : addDays(local, days * n);
+}
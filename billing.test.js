@@ -0,0 +1,99 @@
+import { describe, it, expect } from "vitest";
+import { TZDate } from "@date-fns/tz";
+import { assertBillingCycle, getBillingAnniversary } from "./billing.js";
+import { BILLING_CYCLES, buildBillingSchedule, countCfsBusinessDays, createBusinessCalendar, InvalidArgumentError, InvalidDateError } from "./index.js";
+
+const ZONE = "America/Chicago";
+
+describe("getBillingAnniversary", () => {
+  it("counts calendar months from the charge start, clamping to short months", () => {
+    const start = new TZDate(2024, 0, 31, 9, 0, 0, ZONE);
+    expect(getBillingAnniversary(start, "monthly", 0, ZONE)).toEqual(start);
+    expect(getBillingAnniversary(start, "monthly", 1, ZONE)).toEqual(new TZDate(2024, 1, 29, 9, 0, 0, ZONE));
+    expect(getBillingAnniversary(start, "monthly", 2, ZONE)).toEqual(new TZDate(2024, 2, 31, 9, 0, 0, ZONE));
+  });
+
+  it("counts 4-week rental months, keeping the wall-clock time across daylight saving", () => {
+    const start = new TZDate(2024, 1, 20, 9, 0, 0, ZONE);
+    expect(getBillingAnniversary(new Date(+start), "4-weekly", 1, ZONE)).toEqual(new TZDate(2024, 2, 19, 9, 0, 0, ZONE));
+  });
+});
+
+describe("assertBillingCycle", () => {
+  it("accepts every key of BILLING_CYCLES and nothing else", () => {
+    for (const cycle of Object.keys(BILLING_CYCLES)) {
+      expect(() => assertBillingCycle(cycle, "cycle")).not.toThrow();
+    }
+    expect(() => assertBillingCycle("yearly", "cycle")).toThrow(InvalidArgumentError);
+    expect(() => assertBillingCycle("yearly", "cycle")).toThrow(expect.objectContaining({ field: "cycle", value: "yearly" }));
+  });
+});
+
+describe("buildBillingSchedule", () => {
+  const holidays = ["2024-07-04", "2024-09-02"];
+
+  it("bills an open-ended hire through the period in progress", () => {
+    const periods = buildBillingSchedule({ charge_start: "2024-06-15T09:00:00-05:00", cycle: "monthly" }, holidays, {
+      now: "2024-08-20T10:00:00-05:00",
+    });
+    expect(periods.map(({ start, end, partial }) => [start, end, partial])).toEqual([
+      ["2024-06-15T09:00:00.000-05:00", "2024-07-14T09:00:00.000-05:00", false],
+      ["2024-07-15T09:00:00.000-05:00", "2024-08-14T09:00:00.000-05:00", false],
+      ["2024-08-15T09:00:00.000-05:00", "2024-09-14T09:00:00.000-05:00", false],
+    ]);
+    expect(periods[0]).toMatchObject({ index: 0, chargeDays: 19, chargeWeeks: 3.8, label: "weeks", periodLabel: "3 weeks, 4 days" });
+    // The last period loses the Labor Day holiday
+    expect(periods[2].chargeDays).toBe(21);
+  });
+
+  it("moves invoice dates off weekends and holidays", () => {
+    const monthly = buildBillingSchedule({ charge_start: "2024-06-15T09:00:00-05:00", cycle: "monthly" }, holidays, { now: "2024-07-01T09:00:00-05:00" });
+    // Saturday June 15 is invoiced on Monday June 17
+    expect(monthly[0].invoiceDate).toBe("2024-06-17T09:00:00.000-05:00");
+    const fourWeekly = buildBillingSchedule({ charge_start: "2024-06-06T09:00:00-05:00", cycle: "4-weekly" }, holidays, { now: "2024-07-05T09:00:00-05:00" });
+    expect(fourWeekly[1]).toMatchObject({ start: "2024-07-04T09:00:00.000-05:00", invoiceDate: "2024-07-05T09:00:00.000-05:00" });
+  });
+
+  it("cuts the last period short at until", () => {
+    const periods = buildBillingSchedule({ charge_start: "2024-06-06T09:00:00-05:00", cycle: "4-weekly", until: "2024-07-10T16:00:00-05:00" }, holidays);
+    expect(periods).toHaveLength(2);
+    expect(periods[1]).toMatchObject({ end: "2024-07-10T16:00:00.000-05:00", partial: true, chargeDays: 4 });
+    const total = countCfsBusinessDays("2024-06-06T09:00:00-05:00", "2024-07-10T16:00:00-05:00", holidays).days;
+    expect(periods.reduce((sum, period) => sum + period.chargeDays, 0)).toBe(total);
+  });
+
+  it("gives a period that ends on its last day in full", () => {
+    const periods = buildBillingSchedule({ charge_start: "2024-06-03T09:00:00-05:00", cycle: "weekly", until: "2024-06-16T18:00:00-05:00" }, []);
+    expect(periods.map(({ chargeDays, partial }) => [chargeDays, partial])).toEqual([
+      [5, false],
+      [5, false],
+    ]);
+  });
+
+  it("has no periods before the hire starts", () => {
+    expect(buildBillingSchedule({ charge_start: "2024-06-03", cycle: "weekly" }, [], { now: "2024-06-01" })).toEqual([]);
+  });
+
+  it("uses a calendar's holidays, clock and labels", () => {
+    const calendar = createBusinessCalendar({ holidays: ["2024-06-19"], clock: () => new Date("2024-06-20T15:00:00Z") });
+    const periods = calendar.buildBillingSchedule({ charge_start: "2024-06-17T09:00:00-05:00", cycle: "weekly" }, undefined, {
+      labels: { style: "short" },
+    });
+    expect(periods).toHaveLength(1);
+    expect(periods[0]).toMatchObject({ chargeDays: 4, periodLabel: "4d" });
+  });
+
+  it("throws typed errors for invalid schedules", () => {
+    const now = "2024-06-20";
+    expect(() => buildBillingSchedule(null, [])).toThrow(expect.objectContaining({ name: "InvalidArgumentError", field: "schedule" }));
+    expect(() => buildBillingSchedule({ charge_start: "soon", cycle: "weekly" }, [], { now })).toThrow(InvalidDateError);
+    expect(() => buildBillingSchedule({ charge_start: "2024-06-03", cycle: "daily" }, [], { now })).toThrow(expect.objectContaining({ field: "cycle" }));
+    expect(() => buildBillingSchedule({ charge_start: "2024-06-03", cycle: "weekly", until: "2024-06-01" }, [])).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", field: "until" })
+    );
+    expect(() => buildBillingSchedule({ charge_start: "2024-06-03", cycle: "weekly" }, null, { now })).toThrow(expect.objectContaining({ field: "holidays" }));
+    expect(() => buildBillingSchedule({ charge_start: "1900-01-01", cycle: "weekly", until: "2024-06-01" }, [])).toThrow(
+      expect.objectContaining({ field: "until" })
+    );
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * @cfs/date-helpers - business calendar settings
+ *
+ * Validates and normalizes the configuration behind createBusinessCalendar.
+ * Helpers read their settings through getCalendarSettings, which falls back to
+ * the CFS Chicago calendar when no calendar is given.
+ */
+
+import { TZDate } from "@date-fns/tz";
+
+import { InvalidArgumentError, InvalidConfigError, InvalidDateError } from "./errors.js";
+import { compileHolidays, dayNumberFromKey, weekdayOfDayNumber } from "./holidays.js";
+import { toDateInput } from "./inputs.js";
+
+/**
+ * Configuration of the default CFS calendar
+ */
+export const CFS_CALENDAR_CONFIG = Object.freeze({
+  timeZone: "America/Chicago",
+  openTime: "08:00",
+  closeTime: "16:00",
+  defaultStartTime: "09:00",
+  sameDayCutoff: "09:00",
+  workingDays: Object.freeze([1, 2, 3, 4, 5]),
+  holidays: Object.freeze([]),
+  weeklyHours: Object.freeze({}),
+  specialHours: Object.freeze([]),
+  clock: null,
+});
+
+const calendarSettings = new WeakMap();
+
+/**
+ * Parse an "HH:mm" time of day
+ * @param {string} value - Time of day, e.g. "08:00"
+ * @param {string} field - Config field name, for error messages
+ * @returns {{ hours: number, minutes: number }}
+ * @throws {InvalidConfigError} If value is not a valid "HH:mm" string
+ */
+export function parseTimeOfDay(value, field) {
+  const match = typeof value === "string" ? /^(\d{2}):(\d{2})$/.exec(value) : null;
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new InvalidConfigError(`${field} must be an "HH:mm" time of day`, { field, value });
+  }
+  return { hours: Number(match[1]), minutes: Number(match[2]) };
+}
+
+/**
+ * Convert a parsed time of day to minutes after midnight
+ * @param {{ hours: number, minutes: number }} time - Parsed time of day
+ * @returns {number} Minutes after midnight
+ */
+function minutesOf(time) {
+  return time.hours * 60 + time.minutes;
+}
+
+/**
+ * Parse an open/close pair, falling back to the given hours for a missing side
+ * @param {object} entry - Object with optional open and close "HH:mm" strings
+ * @param {{ open: object, close: object }} fallback - Hours used for a missing open or close
+ * @param {string} field - Config field name, for error messages
+ * @returns {{ open: object, close: object }}
+ * @throws {InvalidConfigError} If a time is invalid or close is not later than open
+ */
+function parseOpenClose(entry, fallback, field) {
+  const open = entry.open === undefined ? fallback.open : parseTimeOfDay(entry.open, `${field}.open`);
+  const close = entry.close === undefined ? fallback.close : parseTimeOfDay(entry.close, `${field}.close`);
+  if (minutesOf(close) <= minutesOf(open)) {
+    throw new InvalidConfigError(`${field}.close must be later than ${field}.open`, { field: `${field}.close`, value: entry.close });
+  }
+  return { open, close };
+}
+
+/**
+ * Build the regular hours for each weekday
+ * @param {object} weeklyHours - Weekday (0-6) → { open, close } or null for closed
+ * @param {{ open: object, close: object }} defaults - Hours for weekdays not listed
+ * @returns {Array<object|null>} Hours indexed by weekday
+ * @throws {InvalidConfigError} If weeklyHours is malformed
+ */
+function parseWeeklyHours(weeklyHours, defaults) {
+  if (!weeklyHours || typeof weeklyHours !== "object" || Array.isArray(weeklyHours)) {
+    throw new InvalidConfigError("weeklyHours must be an object keyed by weekday", { field: "weeklyHours", value: weeklyHours });
+  }
+  const week = [];
+  for (let weekday = 0; weekday < 7; weekday++) {
+    const entry = weeklyHours[weekday];
+    if (entry === undefined) {
+      week.push(defaults);
+    } else if (entry === null) {
+      week.push(null);
+    } else {
+      week.push(parseOpenClose(entry, defaults, `weeklyHours[${weekday}]`));
+    }
+  }
+  for (const key of Object.keys(weeklyHours)) {
+    if (!/^[0-6]$/.test(key)) {
+      throw new InvalidConfigError("weeklyHours keys must be weekdays from 0 (Sunday) to 6 (Saturday)", { field: `weeklyHours.${key}`, value: weeklyHours[key] });
+    }
+  }
+  return week;
+}
+
+/**
+ * Get the weekdays a day number range covers
+ * @param {number} from - First day number
+ * @param {number} to - Last day number, not before from
+ * @returns {Array<number>} Weekdays from 0 (Sunday) to 6 (Saturday)
+ */
+function weekdaysBetween(from, to) {
+  const weekdays = [];
+  for (let day = from; day <= Math.min(to, from + 6); day++) {
+    weekdays.push(weekdayOfDayNumber(day));
+  }
+  return weekdays;
+}
+
+/**
+ * Parse the special hours overrides
+ * An entry that sets only open or close keeps the other side of the regular hours, so it is
+ * checked against the regular hours of every weekday it applies to.
+ * @param {Array<object>} specialHours - Date or date-range overrides
+ * @param {Array<object|null>} week - Regular hours indexed by weekday, from parseWeeklyHours
+ * @param {{ open: object, close: object }} defaults - Hours used on weekdays weeklyHours closes
+ * @returns {Array<object>} Overrides with day number ranges
+ * @throws {InvalidConfigError} If specialHours is malformed, or an entry leaves close at or before open on a day it applies to
+ */
+function parseSpecialHours(specialHours, week, defaults) {
+  if (!Array.isArray(specialHours)) {
+    throw new InvalidConfigError("specialHours must be an array", { field: "specialHours", value: specialHours });
+  }
+  return specialHours.map((entry, index) => {
+    const field = `specialHours[${index}]`;
+    if (!entry || typeof entry !== "object") {
+      throw new InvalidConfigError(`${field} must be an object`, { field, value: entry });
+    }
+    const from = dayNumberFromKey(entry.date !== undefined ? entry.date : entry.from);
+    const to = dayNumberFromKey(entry.date !== undefined ? entry.date : entry.to);
+    if (from === null || to === null || to < from) {
+      throw new InvalidConfigError(`${field} needs a "YYYY-MM-DD" date, or from and to dates in order`, { field, value: entry });
+    }
+    if (entry.weekdays !== undefined && (!Array.isArray(entry.weekdays) ||
+      entry.weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6))) {
+      throw new InvalidConfigError(`${field}.weekdays must be an array of weekdays from 0 (Sunday) to 6 (Saturday)`, {
+        field: `${field}.weekdays`,
+        value: entry.weekdays,
+      });
+    }
+    if (!entry.closed && entry.open === undefined && entry.close === undefined) {
+      throw new InvalidConfigError(`${field} needs open, close or closed: true`, { field, value: entry });
+    }
+    const open = entry.open === undefined ? null : parseTimeOfDay(entry.open, `${field}.open`);
+    const close = entry.close === undefined ? null : parseTimeOfDay(entry.close, `${field}.close`);
+    if (open && close && minutesOf(close) <= minutesOf(open)) {
+      throw new InvalidConfigError(`${field}.close must be later than ${field}.open`, { field: `${field}.close`, value: entry.close });
+    }
+    if (!entry.closed && (!open || !close)) {
+      for (const weekday of weekdaysBetween(from, to)) {
+        if (entry.weekdays && !entry.weekdays.includes(weekday)) {
+          continue;
+        }
+        const regular = week[weekday] || defaults;
+        if (minutesOf(close || regular.close) <= minutesOf(open || regular.open)) {
+          const side = open ? "open" : "close";
+          throw new InvalidConfigError(`${field}.${side} leaves close at or before open on weekday ${weekday}`, {
+            field: `${field}.${side}`,
+            value: entry[side],
+          });
+        }
+      }
+    }
+    return {
+      from,
+      to,
+      weekdays: entry.weekdays || null,
+      closed: Boolean(entry.closed),
+      open,
+      close,
+      name: entry.name || null,
+    };
+  });
+}
+
+/**
+ * Validate an IANA time zone name
+ * @param {string} timeZone - Time zone, e.g. "America/Chicago"
+ * @returns {string} The time zone
+ * @throws {InvalidConfigError} If the time zone is not recognized
+ */
+function parseTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone === "") {
+    throw new InvalidConfigError("timeZone must be a valid IANA time zone", { field: "timeZone", value: timeZone });
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch {
+    throw new InvalidConfigError("timeZone must be a valid IANA time zone", { field: "timeZone", value: timeZone });
+  }
+  return timeZone;
+}
+
+/**
+ * Validate and normalize a calendar configuration
+ * Missing fields fall back to the CFS calendar.
+ * @param {object} config - Calendar configuration (see CFS_CALENDAR_CONFIG)
+ * @returns {object} Frozen settings with parsed times and compiled holidays
+ * @throws {InvalidConfigError} If any field is invalid
+ */
+export function normalizeCalendarConfig(config) {
+  if (!config || typeof config !== "object") {
+    throw new InvalidConfigError("calendar config must be an object", { field: "config", value: config });
+  }
+  const merged = { ...CFS_CALENDAR_CONFIG, ...config };
+
+  const timeZone = parseTimeZone(merged.timeZone);
+  const openTime = parseTimeOfDay(merged.openTime, "openTime");
+  const closeTime = parseTimeOfDay(merged.closeTime, "closeTime");
+  if (minutesOf(closeTime) <= minutesOf(openTime)) {
+    throw new InvalidConfigError("closeTime must be later than openTime", { field: "closeTime", value: merged.closeTime });
+  }
+  const weeklyHours = parseWeeklyHours(merged.weeklyHours, { open: openTime, close: closeTime });
+
+  const { workingDays } = merged;
+  if (!Array.isArray(workingDays) || workingDays.length === 0 ||
+    workingDays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new InvalidConfigError("workingDays must be a non-empty array of weekdays from 0 (Sunday) to 6 (Saturday)", {
+      field: "workingDays",
+      value: workingDays,
+    });
+  }
+
+  if (merged.clock !== null && merged.clock !== undefined && typeof merged.clock !== "function") {
+    throw new InvalidConfigError("clock must be a function returning the current date", { field: "clock", value: merged.clock });
+  }
+
+  const holidays = compileHolidays(merged.holidays, { timeZone, workingDays });
+
+  return Object.freeze({
+    timeZone,
+    openTime,
+    closeTime,
+    defaultStartTime: parseTimeOfDay(merged.defaultStartTime, "defaultStartTime"),
+    sameDayCutoff: parseTimeOfDay(merged.sameDayCutoff, "sameDayCutoff"),
+    workingDays: holidays.workingDays,
+    holidays,
+    weeklyHours,
+    specialHours: parseSpecialHours(merged.specialHours, weeklyHours, { open: openTime, close: closeTime }),
+    clock: merged.clock || null,
+  });
+}
+
+/**
+ * Get the business hours for a calendar day
+ * The last special hours entry matching the day wins; otherwise the weekday's regular hours apply.
+ * An entry that sets only open or close keeps the other side of the regular hours; normalizeCalendarConfig
+ * has already checked that this leaves close later than open.
+ * @param {object} settings - Settings from getCalendarSettings
+ * @param {number} dayNumber - Day number from toDayNumber
+ * @returns {{ open: object|null, close: object|null, closed: boolean, name: string|null }}
+ */
+export function getHoursForDayNumber(settings, dayNumber) {
+  const weekday = weekdayOfDayNumber(dayNumber);
+  const regular = settings.weeklyHours[weekday];
+
+  let special = null;
+  for (const entry of settings.specialHours) {
+    if (dayNumber >= entry.from && dayNumber <= entry.to && (!entry.weekdays || entry.weekdays.includes(weekday))) {
+      special = entry;
+    }
+  }
+
+  if (special && special.closed) {
+    return { open: null, close: null, closed: true, name: special.name };
+  }
+  if (special) {
+    const fallback = regular || { open: settings.openTime, close: settings.closeTime };
+    return { open: special.open || fallback.open, close: special.close || fallback.close, closed: false, name: special.name };
+  }
+  if (!regular) {
+    return { open: null, close: null, closed: true, name: null };
+  }
+  return { open: regular.open, close: regular.close, closed: false, name: null };
+}
+
+const DEFAULT_SETTINGS = normalizeCalendarConfig(CFS_CALENDAR_CONFIG);
+
+/**
+ * Associate normalized settings with a calendar object
+ * @param {object} calendar - Calendar returned by createBusinessCalendar
+ * @param {object} settings - Settings from normalizeCalendarConfig
+ */
+export function registerCalendar(calendar, settings) {
+  calendarSettings.set(calendar, settings);
+}
+
+/**
+ * Get the settings for a calendar, or the CFS defaults when no calendar is given
+ * @param {object} [calendar] - Calendar returned by createBusinessCalendar
+ * @returns {object} Settings from normalizeCalendarConfig
+ * @throws {InvalidArgumentError} If calendar was not created by createBusinessCalendar
+ */
+export function getCalendarSettings(calendar) {
+  if (calendar === undefined || calendar === null) {
+    return DEFAULT_SETTINGS;
+  }
+  const settings = calendarSettings.get(calendar);
+  if (!settings) {
+    throw new InvalidArgumentError("calendar must be created with createBusinessCalendar", { field: "calendar", value: calendar });
+  }
+  return settings;
+}
+
+/**
+ * Resolve the current moment for a now-based helper
+ * `options.now` wins over the calendar's clock, which wins over the system time.
+ * Either may be any date input (see inputs.js), or a function returning one.
+ * @param {object} settings - Settings from getCalendarSettings
+ * @param {object} options - Helper options, with optional now
+ * @returns {object} TZDate in the calendar's time zone
+ * @throws {InvalidDateError} If the resolved value is not a valid date
+ */
+export function resolveNow(settings, options) {
+  let now = options.now !== undefined ? options.now : settings.clock;
+  if (typeof now === "function") {
+    now = now();
+  }
+  if (now === undefined || now === null) {
+    now = Date.now();
+  }
+  const date = toDateInput(now, settings.timeZone);
+  if (!date) {
+    throw new InvalidDateError("now must be a valid date, epoch milliseconds, or a function returning one", { field: "now", value: now });
+  }
+  return new TZDate(+date, settings.timeZone);
+}
+
+/**
+ * Compile a holidays argument for a calendar's time zone and working days
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} settings - Settings from getCalendarSettings
+ * @returns {object} Compiled holiday index
+ * @throws {InvalidArgumentError} If holidays is not an array
+ */
+export function resolveHolidays(holidays, settings) {
+  return compileHolidays(holidays, { timeZone: settings.timeZone, workingDays: settings.workingDays });
+}
@@ -0,0 +1,1442 @@
+/**
+ * @cfs/date-helpers - core helpers
+ *
+ * The holiday, business day, business hours and charge period helpers, and getDuration.
+ * Feature modules (validation, ranges, month grid, billing schedule) build on these and import
+ * them from here; index.js re-exports everything and binds it to calendars.
+ *
+ * All helpers accept holidays as a parameter to enable client-side calculations. Anywhere a
+ * holidays array is accepted, the output of compileHolidays can be passed instead.
+ *
+ * Every helper takes an optional trailing `options` object. `options.calendar` selects a
+ * calendar from createBusinessCalendar; without it the CFS Chicago calendar is used.
+ *
+ * Dates are read as calendar days in the calendar's time zone, whatever zone a Date or TZDate
+ * was built in, and are moved by days on that zone's wall clock, so a server running in UTC
+ * gets the same days as the manager app in Chicago, across daylight saving changes too.
+ */
+
+import { addDays, addMinutes, constructFrom, endOfDay, isAfter, isBefore, isSameDay, parseISO, set, startOfDay } from "date-fns";
+import { TZDate, tz } from "@date-fns/tz";
+
+import { assertBillingCycle, getBillingAnniversary } from "./billing.js";
+import { InvalidArgumentError, SearchLimitError } from "./errors.js";
+import { getCalendarSettings, getHoursForDayNumber, parseTimeOfDay, resolveHolidays, resolveNow } from "./calendar.js";
+import {
+  countBusinessDayNumbers,
+  dayNumberToKey,
+  getHolidayDetails,
+  getHolidayEntry,
+  isBusinessDayNumber,
+  isChargeableDayNumber,
+  isCompiledHolidays,
+  isDeliveryDayNumber,
+  isHolidayDayNumber,
+  parseHolidayEntry,
+  toDayNumber,
+  weekdayOfDayNumber,
+} from "./holidays.js";
+import { assertReturnAs, formatDateOutput, parseDateInput } from "./inputs.js";
+import { formatPeriod } from "./labels.js";
+import { calculateRentalCharge } from "./rates.js";
+
+// How far navigation helpers search before giving up, so a calendar with no open days can't hang
+const MAX_SEARCH_DAYS = 3653;
+
+// Most charge days a budget search considers, about 10 years of business days
+const MAX_BUDGET_CHARGE_DAYS = 2610;
+
+// Default options.maxSpanDays: the longest range, in calendar days, a helper accepts (about 100 years)
+const MAX_SPAN_DAYS = 36525;
+
+/**
+ * Default getDuration proration policy, used when `options.proration` is `true`
+ */
+export const DEFAULT_PRORATION_POLICY = Object.freeze({
+  halfDayCutoff: "12:00",
+  offHours: true,
+});
+
+/**
+ * Move a date by whole calendar days on the calendar's wall clock
+ * Unlike addDays on a plain Date, the time of day stays put in the calendar's time zone across a
+ * daylight saving change, whatever zone the process runs in. The result has the input's type.
+ * @param {object} date - date-fns date object
+ * @param {number} days - Whole days, may be negative
+ * @param {string} timeZone - Calendar time zone
+ * @returns {object} date-fns date object of the same type as date
+ */
+function addCalendarDays(date, days, timeZone) {
+  return constructFrom(date, +addDays(new TZDate(+date, timeZone), days));
+}
+
+/**
+ * Throw unless holidays is an array or a compiled holiday index
+ * @param {*} holidays - Holidays argument
+ * @throws {InvalidArgumentError} If holidays is neither
+ */
+function assertHolidays(holidays) {
+  if (!Array.isArray(holidays) && !isCompiledHolidays(holidays)) {
+    throw new InvalidArgumentError("holidays must be an array", { field: "holidays", value: holidays });
+  }
+}
+
+/**
+ * Read options.maxSpanDays, the longest range in calendar days a helper accepts
+ * @param {object} options - Helper options
+ * @returns {number} Whole number of days, MAX_SPAN_DAYS by default
+ * @throws {InvalidArgumentError} If maxSpanDays is not a whole number of at least 1
+ */
+function getMaxSpanDays(options) {
+  if (options.maxSpanDays === undefined) {
+    return MAX_SPAN_DAYS;
+  }
+  if (!Number.isInteger(options.maxSpanDays) || options.maxSpanDays < 1) {
+    throw new InvalidArgumentError("maxSpanDays must be a whole number of at least 1", { field: "maxSpanDays", value: options.maxSpanDays });
+  }
+  return options.maxSpanDays;
+}
+
+/**
+ * Check a date range against options.strict and options.maxSpanDays
+ * @param {object} start - Parsed range start
+ * @param {object} end - Parsed range end
+ * @param {string} timeZone - Calendar time zone
+ * @param {object} options - Helper options
+ * @param {{ start: string, end: string, value: * }} fields - Argument names for the error, and the end value passed
+ * @throws {InvalidArgumentError} If the range is reversed under options.strict, or spans more than maxSpanDays
+ */
+function assertRange(start, end, timeZone, options, fields) {
+  if (options.strict && isBefore(end, start)) {
+    throw new InvalidArgumentError(`${fields.end} is before ${fields.start}`, { field: fields.end, value: fields.value });
+  }
+  const maxSpanDays = getMaxSpanDays(options);
+  if (Math.abs(toDayNumber(end, timeZone) - toDayNumber(start, timeZone)) + 1 > maxSpanDays) {
+    throw new InvalidArgumentError(`${fields.start} to ${fields.end} spans more than ${maxSpanDays} days`, { field: fields.end, value: fields.value });
+  }
+}
+
+/**
+ * Throw unless a charge day count is within options.maxSpanDays
+ * @param {number} chargeDays - Charge days asked for
+ * @param {string} field - Argument name for the error
+ * @param {object} options - Helper options
+ * @throws {InvalidArgumentError} If chargeDays is more than maxSpanDays
+ */
+function assertChargeDaysWithinSpan(chargeDays, field, options) {
+  const maxSpanDays = getMaxSpanDays(options);
+  if (chargeDays > maxSpanDays) {
+    throw new InvalidArgumentError(`${field} must be at most ${maxSpanDays} days`, { field, value: chargeDays });
+  }
+}
+
+/**
+ * Parse a date from an order's dates object in the calendar's time zone
+ * @param {*} value - Any date input accepted by parseDateInput
+ * @param {string} field - Field the value came from, e.g. "charge_start"
+ * @param {string} timeZone - Calendar time zone
+ * @param {string} [message] - Error message, defaults to "<field> is not a valid date string"
+ * @returns {object} TZDate in the calendar's time zone
+ * @throws {InvalidDateError} If the value is not a date input
+ */
+function parseDateField(value, field, timeZone, message = `${field} is not a valid date string`) {
+  return new TZDate(+parseDateInput(value, field, timeZone, message), timeZone);
+}
+
+/**
+ * Test if a given date is a CFS holiday
+ * Any listed holiday counts, whatever its type; use getHoliday to tell them apart.
+ * @param {DateInput} testDate - Date to test
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @returns {boolean} True if testDate is a holiday
+ * @throws {DateHelpersError} If testDate is invalid or holidays is not an array
+ */
+export function isHoliday(testDate, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  testDate = parseDateInput(testDate, "testDate", calendar.timeZone, "testDate must be a valid date object");
+  if (isCompiledHolidays(holidays)) {
+    return isHolidayDayNumber(resolveHolidays(holidays, calendar), toDayNumber(testDate, calendar.timeZone));
+  }
+  assertHolidays(holidays);
+
+  const day = toDayNumber(testDate, calendar.timeZone);
+  for (const [index, holiday] of holidays.entries()) {
+    const parsed = parseHolidayEntry(holiday, index, calendar.timeZone);
+    if (parsed && parsed.day === day) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Get the holiday a date falls on
+ * Bare date strings in the holidays list read as `{ name: null, type: "closed", chargeable: false }`.
+ * @param {DateInput} date - Date to look up
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @returns {{ date: string, name: string|null, type: "closed"|"no-delivery"|"no-charge", chargeable: boolean }|null}
+ *   The holiday entry with `date` as "YYYY-MM-DD" and its other fields kept, or null if date is not a holiday
+ * @throws {DateHelpersError} If date is invalid or holidays is not a valid holidays list
+ */
+export function getHoliday(date, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  date = parseDateInput(date, "date", calendar.timeZone, "date must be a valid date object");
+  assertHolidays(holidays);
+
+  return getHolidayDetails(resolveHolidays(holidays, calendar), toDayNumber(date, calendar.timeZone));
+}
+
+/**
+ * Get the business hours for the day a date falls on
+ * Hours come from the calendar's weekly hours and special hours (early closes, late opens,
+ * closures); the CFS calendar is open 8am-4pm every day. Whether the day is a working day
+ * or a holiday is decided separately, by workingDays and the holidays list.
+ * @param {DateInput} date - Date whose hours to look up
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @returns {{ open: object|null, close: object|null, closed: boolean, name: string|null }} open/close as TZDates in the calendar's time zone, null when closed; name of the special hours entry that applied
+ * @throws {InvalidDateError} If date is invalid
+ */
+export function getBusinessHours(date, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  date = parseDateInput(date, "date", calendar.timeZone, "date must be a valid date object");
+  assertReturnAs(options);
+
+  const hours = getHoursForDayNumber(calendar, toDayNumber(date, calendar.timeZone));
+  if (hours.closed) {
+    return { open: null, close: null, closed: true, name: hours.name };
+  }
+
+  const open = set(date, { ...hours.open, seconds: 0, milliseconds: 0 }, { in: tz(calendar.timeZone) });
+  const close = set(date, { ...hours.close, seconds: 0, milliseconds: 0 }, { in: tz(calendar.timeZone) });
+
+  return {
+    open: formatDateOutput(open, calendar.timeZone, options),
+    close: formatDateOutput(close, calendar.timeZone, options),
+    closed: false,
+    name: hours.name,
+  };
+}
+
+/**
+ * Test if a date/time is outside business hours (before 8am or after 4pm on the CFS calendar)
+ * Evaluated against getBusinessHours, so days the calendar closes are off hours all day.
+ * @param {DateInput} date - Date to test
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @returns {boolean} True if outside business hours
+ * @throws {InvalidDateError} If date is invalid
+ */
+export function isOffHours(date, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  date = parseDateInput(date, "date", calendar.timeZone, "date must be a valid date object");
+
+  const { open, close, closed } = getBusinessHours(date, { calendar: options.calendar });
+  if (closed) {
+    return true;
+  }
+
+  if (isBefore(date, open) || isAfter(date, close)) {
+    return true;
+  } else {
+    return false;
+  }
+}
+
+/**
+ * Test if a date falls on a business day (a working day that isn't a holiday)
+ * "no-charge" holidays don't close the business, so they are business days.
+ * @param {DateInput} date - Date to test
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @returns {boolean} True if date is a business day
+ * @throws {DateHelpersError} If date is invalid or holidays is not an array
+ */
+export function isBusinessDay(date, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  date = parseDateInput(date, "date", calendar.timeZone, "date must be a valid date object");
+  assertHolidays(holidays);
+
+  return isBusinessDayNumber(resolveHolidays(holidays, calendar), toDayNumber(date, calendar.timeZone));
+}
+
+/**
+ * Count the days from a day number to the nearest business day in one direction
+ * @param {object} compiled - Compiled holiday index
+ * @param {number} dayNumber - Day number to start from (not itself considered)
+ * @param {number} direction - 1 to search forward, -1 to search backward
+ * @param {Function} [isDay] - Day test, defaults to isBusinessDayNumber
+ * @returns {number} Signed day offset to the business day
+ * @throws {SearchLimitError} If no business day is found within MAX_SEARCH_DAYS
+ */
+function offsetToBusinessDay(compiled, dayNumber, direction, isDay = isBusinessDayNumber) {
+  let offset = direction;
+  while (!isDay(compiled, dayNumber + offset)) {
+    offset += direction;
+    if (Math.abs(offset) > MAX_SEARCH_DAYS) {
+      throw new SearchLimitError("no business day found within 10 years", { field: "holidays" });
+    }
+  }
+  return offset;
+}
+
+/**
+ * Get the next business day after a date, keeping its time of day
+ * @param {DateInput} date - Date to start from
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @returns {object|string} Date of the input's type, or as options.returnAs
+ * @throws {DateHelpersError} If date is invalid or holidays is not an array
+ */
+export function nextBusinessDay(date, holidays, options = {}) {
+  return addBusinessDays(date, 1, holidays, options);
+}
+
+/**
+ * Get the previous business day before a date, keeping its time of day
+ * @param {DateInput} date - Date to start from
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @returns {object|string} Date of the input's type, or as options.returnAs
+ * @throws {DateHelpersError} If date is invalid or holidays is not an array
+ */
+export function previousBusinessDay(date, holidays, options = {}) {
+  return addBusinessDays(date, -1, holidays, options);
+}
+
+/**
+ * Move a date forward (or backward, for a negative amount) by a number of business days, keeping its time of day
+ * Starting from a non-business day, the first step lands on the nearest business day in that direction.
+ * @param {DateInput} date - Date to move
+ * @param {number} amount - Whole number of business days, may be negative
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @returns {object|string} Date of the input's type, or as options.returnAs
+ * @throws {DateHelpersError} If date is invalid, amount is not a whole number, or holidays is not an array
+ */
+export function addBusinessDays(date, amount, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  date = parseDateInput(date, "date", calendar.timeZone, "date must be a valid date object");
+  if (!Number.isInteger(amount)) {
+    throw new InvalidArgumentError("amount must be a whole number", { field: "amount", value: amount });
+  }
+  assertHolidays(holidays);
+  const compiled = resolveHolidays(holidays, calendar);
+
+  assertReturnAs(options);
+
+  const firstDay = toDayNumber(date, calendar.timeZone);
+  const direction = amount < 0 ? -1 : 1;
+  let offset = 0;
+
+  for (let i = 0; i < Math.abs(amount); i++) {
+    offset += offsetToBusinessDay(compiled, firstDay + offset, direction);
+  }
+
+  return formatDateOutput(addCalendarDays(date, offset, calendar.timeZone), calendar.timeZone, options);
+}
+
+/**
+ * Get the opening and closing times of a day, if it is a business day with open hours
+ * @param {object} calendar - Settings from getCalendarSettings
+ * @param {object} compiled - Compiled holiday index
+ * @param {object} day - TZDate in the calendar's time zone
+ * @param {Function} [isDay] - Day test, defaults to isBusinessDayNumber; isDeliveryDayNumber for deliveries
+ * @returns {{ open: object, close: object }|null} TZDates, or null if the shop is closed that day
+ */
+function openHoursOn(calendar, compiled, day, isDay = isBusinessDayNumber) {
+  const dayNumber = toDayNumber(day, calendar.timeZone);
+  if (!isDay(compiled, dayNumber)) {
+    return null;
+  }
+  const hours = getHoursForDayNumber(calendar, dayNumber);
+  if (hours.closed) {
+    return null;
+  }
+  return {
+    open: set(day, { ...hours.open, seconds: 0, milliseconds: 0 }),
+    close: set(day, { ...hours.close, seconds: 0, milliseconds: 0 }),
+  };
+}
+
+/**
+ * Find the next moment the shop is open, at or after a date
+ * @param {object} calendar - Settings from getCalendarSettings
+ * @param {object} compiled - Compiled holiday index
+ * @param {object} local - TZDate in the calendar's time zone
+ * @param {Function} [isDay] - Day test, defaults to isBusinessDayNumber; isDeliveryDayNumber for deliveries
+ * @returns {object} TZDate in the calendar's time zone
+ * @throws {SearchLimitError} If no open day is found within MAX_SEARCH_DAYS
+ */
+function findOpenTime(calendar, compiled, local, isDay = isBusinessDayNumber) {
+  const today = openHoursOn(calendar, compiled, local, isDay);
+  if (today && !isAfter(local, today.close)) {
+    return isBefore(local, today.open) ? today.open : local;
+  }
+
+  for (let offset = 1; offset <= MAX_SEARCH_DAYS; offset++) {
+    const hours = openHoursOn(calendar, compiled, addDays(local, offset), isDay);
+    if (hours) {
+      return hours.open;
+    }
+  }
+  throw new SearchLimitError("no open business day found within 10 years", { field: "holidays" });
+}
+
+/**
+ * Find the last moment the shop is open, at or before a date
+ * @param {object} calendar - Settings from getCalendarSettings
+ * @param {object} compiled - Compiled holiday index
+ * @param {object} local - TZDate in the calendar's time zone
+ * @returns {object} TZDate in the calendar's time zone
+ * @throws {SearchLimitError} If no open day is found within MAX_SEARCH_DAYS
+ */
+function findCloseTime(calendar, compiled, local) {
+  const today = openHoursOn(calendar, compiled, local);
+  if (today && !isBefore(local, today.open)) {
+    return isAfter(local, today.close) ? today.close : local;
+  }
+
+  for (let offset = 1; offset <= MAX_SEARCH_DAYS; offset++) {
+    const hours = openHoursOn(calendar, compiled, addDays(local, -offset));
+    if (hours) {
+      return hours.close;
+    }
+  }
+  throw new SearchLimitError("no open business day found within 10 years", { field: "holidays" });
+}
+
+/**
+ * Get the next moment the shop is open, at or after a date
+ * Returns the date itself during business hours, otherwise the next opening time
+ * on a business day, skipping weekends, holidays and days closed by the hours schedule.
+ * @param {DateInput} date - Date to start from
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @returns {object|string} TZDate in the calendar's time zone, or as options.returnAs
+ * @throws {DateHelpersError} If date is invalid, holidays is not an array, or no open day is found within 10 years
+ */
+export function nextOpenTime(date, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  date = parseDateInput(date, "date", calendar.timeZone, "date must be a valid date object");
+  assertHolidays(holidays);
+  assertReturnAs(options);
+  const compiled = resolveHolidays(holidays, calendar);
+
+  return formatDateOutput(findOpenTime(calendar, compiled, new TZDate(+date, calendar.timeZone)), calendar.timeZone, options);
+}
+
+/**
+ * Clamp a date into business hours
+ * Before opening it moves to that day's opening time, after closing to that day's closing time.
+ * A date on a weekend, holiday or closed day moves to the next opening time.
+ * @param {DateInput} date - Date to clamp
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @returns {object|string} TZDate in the calendar's time zone, or as options.returnAs
+ * @throws {DateHelpersError} If date is invalid, holidays is not an array, or no open day is found within 10 years
+ */
+export function clampToBusinessHours(date, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  date = parseDateInput(date, "date", calendar.timeZone, "date must be a valid date object");
+  assertHolidays(holidays);
+  assertReturnAs(options);
+  const compiled = resolveHolidays(holidays, calendar);
+
+  const local = new TZDate(+date, calendar.timeZone);
+  const hours = openHoursOn(calendar, compiled, local);
+  let clamped = local;
+  if (!hours) {
+    clamped = findOpenTime(calendar, compiled, local);
+  } else if (isBefore(local, hours.open)) {
+    clamped = hours.open;
+  } else if (isAfter(local, hours.close)) {
+    clamped = hours.close;
+  }
+  return formatDateOutput(clamped, calendar.timeZone, options);
+}
+
+/**
+ * Move forward through open hours from a date, skipping nights, weekends, holidays and closed days
+ * A date outside open hours starts from the next opening time. Time that exactly fills a day
+ * ends at that day's closing time, not the next opening.
+ * @param {object} calendar - Settings from getCalendarSettings
+ * @param {object} compiled - Compiled holiday index
+ * @param {object} local - TZDate in the calendar's time zone
+ * @param {number} milliseconds - Open time to move through, 0 or more
+ * @param {string} field - Argument name for the search limit error
+ * @returns {object} TZDate in the calendar's time zone
+ * @throws {SearchLimitError} If the open time runs more than MAX_SEARCH_DAYS days ahead
+ */
+function addOpenTime(calendar, compiled, local, milliseconds, field) {
+  const lastDay = toDayNumber(local, calendar.timeZone) + MAX_SEARCH_DAYS;
+  let cursor = findOpenTime(calendar, compiled, local);
+  let remaining = milliseconds;
+
+  for (;;) {
+    const { close } = openHoursOn(calendar, compiled, cursor);
+    if (remaining <= +close - +cursor) {
+      return new TZDate(+cursor + remaining, calendar.timeZone);
+    }
+    remaining -= +close - +cursor;
+    cursor = findOpenTime(calendar, compiled, startOfDay(addDays(cursor, 1)));
+    if (toDayNumber(cursor, calendar.timeZone) > lastDay) {
+      throw new SearchLimitError("business hours run more than 10 years ahead", { field });
+    }
+  }
+}
+
+/**
+ * Move backward through open hours from a date, skipping nights, weekends, holidays and closed days
+ * The mirror of addOpenTime: a date outside open hours starts from the last closing time.
+ * @param {object} calendar - Settings from getCalendarSettings
+ * @param {object} compiled - Compiled holiday index
+ * @param {object} local - TZDate in the calendar's time zone
+ * @param {number} milliseconds - Open time to move back through, 0 or more
+ * @param {string} field - Argument name for the search limit error
+ * @returns {object} TZDate in the calendar's time zone
+ * @throws {SearchLimitError} If the open time runs more than MAX_SEARCH_DAYS days back
+ */
+function subtractOpenTime(calendar, compiled, local, milliseconds, field) {
+  const firstDay = toDayNumber(local, calendar.timeZone) - MAX_SEARCH_DAYS;
+  let cursor = findCloseTime(calendar, compiled, local);
+  let remaining = milliseconds;
+
+  for (;;) {
+    const { open } = openHoursOn(calendar, compiled, cursor);
+    if (remaining <= +cursor - +open) {
+      return new TZDate(+cursor - remaining, calendar.timeZone);
+    }
+    remaining -= +cursor - +open;
+    cursor = findCloseTime(calendar, compiled, endOfDay(addDays(cursor, -1)));
+    if (toDayNumber(cursor, calendar.timeZone) < firstDay) {
+      throw new SearchLimitError("business hours run more than 10 years back", { field });
+    }
+  }
+}
+
+/**
+ * Move a date forward (or backward, for a negative amount) by a number of business hours
+ * Only open hours count: nights, weekends, holidays that close the business and days the hours
+ * schedule closes are stepped over, so 6 business hours from 2pm on a Friday is noon on Monday.
+ * Counting forward from outside business hours starts at the next opening time, so adding 0 hours
+ * gives nextOpenTime; counting backward starts at the last closing time. An amount that exactly
+ * fills the rest of a day ends at that day's closing time.
+ * @param {DateInput} date - Date to move
+ * @param {number} hours - Business hours, may be fractional or negative
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @returns {object|string} TZDate in the calendar's time zone, or as options.returnAs
+ * @throws {DateHelpersError} If date is invalid, hours is not a finite number, holidays is not an array, or the
+ *   result is more than 10 years away
+ */
+export function addBusinessHours(date, hours, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  date = parseDateInput(date, "date", calendar.timeZone, "date must be a valid date object");
+  if (typeof hours !== "number" || !Number.isFinite(hours)) {
+    throw new InvalidArgumentError("hours must be a finite number", { field: "hours", value: hours });
+  }
+  assertHolidays(holidays);
+  assertReturnAs(options);
+  const compiled = resolveHolidays(holidays, calendar);
+
+  const local = new TZDate(+date, calendar.timeZone);
+  const milliseconds = Math.round(Math.abs(hours) * 3600000);
+  const result = hours < 0
+    ? subtractOpenTime(calendar, compiled, local, milliseconds, "hours")
+    : addOpenTime(calendar, compiled, local, milliseconds, "hours");
+  return formatDateOutput(result, calendar.timeZone, options);
+}
+
+/**
+ * Count the business hours between two dates
+ * Only the open hours between them count, on the same days and hours as addBusinessHours, so an
+ * order received at 3pm on a Friday and ready at 10am on Monday sat in prep for 3 business hours.
+ * The result is fractional (1.5 for an hour and a half) and negative when end is before start.
+ * @param {DateInput} start - Range start
+ * @param {DateInput} end - Range end
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {boolean} [options.strict] - Throw instead of returning a negative count when end is before start
+ * @param {number} [options.maxSpanDays] - Longest range accepted, in calendar days (default 36525)
+ * @returns {number} Business hours from start to end
+ * @throws {DateHelpersError} If a date is invalid, holidays is not an array, end is before start under
+ *   options.strict, or the range spans more than maxSpanDays
+ */
+export function differenceInBusinessHours(start, end, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  const endValue = end;
+  start = parseDateInput(start, "start", calendar.timeZone, "start must be a valid date object");
+  end = parseDateInput(end, "end", calendar.timeZone, "end must be a valid date object");
+  assertHolidays(holidays);
+  assertRange(start, end, calendar.timeZone, options, { start: "start", end: "end", value: endValue });
+  const compiled = resolveHolidays(holidays, calendar);
+
+  const reversed = isBefore(end, start);
+  const from = new TZDate(+(reversed ? end : start), calendar.timeZone);
+  const to = new TZDate(+(reversed ? start : end), calendar.timeZone);
+  const lastDay = toDayNumber(to, calendar.timeZone);
+
+  let milliseconds = 0;
+  for (let day = startOfDay(from); toDayNumber(day, calendar.timeZone) <= lastDay; day = addDays(day, 1)) {
+    const hours = openHoursOn(calendar, compiled, day);
+    if (hours) {
+      milliseconds += Math.max(0, Math.min(+hours.close, +to) - Math.max(+hours.open, +from));
+    }
+  }
+  const businessHours = milliseconds / 3600000;
+  // 0 - hours rather than -hours, so an empty reversed range gives 0 and not -0
+  return reversed ? 0 - businessHours : businessHours;
+}
+
+/**
+ * List the delivery or collection slots that can still be booked on a day
+ * Slots run on a `slotMinutes` grid from the day's opening time, and none starts before `now`
+ * plus the lead time, counted in business hours: a 4-hour lead time asked for at 2pm on a Friday
+ * opens the 10am Monday slot. Weekends, holidays that close deliveries and days the hours
+ * schedule closes have no slots. Slots that start before opening or end after closing, by the
+ * same rule as isOffHours, are flagged `offHours` as off-hours surcharge candidates: with
+ * `includeOffHours` the grid runs over the whole day, otherwise only a last slot that runs past
+ * closing can be one. With a lead time, off-hours slots still need it counted in business hours.
+ * @param {DateInput} date - Day to list slots for
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {number} [options.slotMinutes] - Slot length in minutes, a whole number from 1 to 1440 (default 60)
+ * @param {number} [options.leadTimeBusinessHours] - Business hours needed between now and a slot's start (default 0)
+ * @param {boolean} [options.includeOffHours] - Also list the slots before opening and after closing (default false)
+ * @param {object|number|Function} [options.now] - Moment to treat as now, or a clock function returning one;
+ *   defaults to the calendar's clock, then the system time
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return plain Dates, TZDates in the calendar's time zone, or ISO strings
+ * @returns {Array<{ start: object|string, end: object|string, offHours: boolean }>} Bookable slots in order, with start
+ *   and end as TZDates in the calendar's time zone or as options.returnAs; offHours is true when the slot starts
+ *   before opening or ends after closing
+ * @throws {DateHelpersError} If date or now is invalid, slotMinutes or leadTimeBusinessHours is invalid, holidays is
+ *   not an array, or the lead time runs more than 10 years ahead
+ */
+export function getDeliverySlots(date, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  date = parseDateInput(date, "date", calendar.timeZone, "date must be a valid date object");
+  const slotMinutes = options.slotMinutes === undefined ? 60 : options.slotMinutes;
+  if (!Number.isInteger(slotMinutes) || slotMinutes < 1 || slotMinutes > 1440) {
+    throw new InvalidArgumentError("slotMinutes must be a whole number from 1 to 1440", { field: "slotMinutes", value: slotMinutes });
+  }
+  const leadTime = options.leadTimeBusinessHours === undefined ? 0 : options.leadTimeBusinessHours;
+  if (typeof leadTime !== "number" || !Number.isFinite(leadTime) || leadTime < 0) {
+    throw new InvalidArgumentError("leadTimeBusinessHours must be a number of hours, 0 or more", { field: "leadTimeBusinessHours", value: leadTime });
+  }
+  assertHolidays(holidays);
+  assertReturnAs(options);
+  const compiled = resolveHolidays(holidays, calendar);
+
+  const hours = openHoursOn(calendar, compiled, new TZDate(+date, calendar.timeZone), isDeliveryDayNumber);
+  if (!hours) {
+    return [];
+  }
+  const now = resolveNow(calendar, options);
+  // Without a lead time an off-hours slot can start any time from now, not only from the next opening
+  const earliest = leadTime ? addOpenTime(calendar, compiled, now, leadTime * 3600000, "leadTimeBusinessHours") : now;
+
+  // The grid stays anchored at opening time, and with includeOffHours extends to the whole day
+  let first = hours.open;
+  let last = hours.close;
+  if (options.includeOffHours) {
+    const dayStart = startOfDay(hours.open);
+    first = addMinutes(hours.open, -Math.floor((+hours.open - +dayStart) / (slotMinutes * 60000)) * slotMinutes);
+    last = startOfDay(addDays(hours.open, 1));
+  }
+
+  const slots = [];
+  for (let start = first; isBefore(start, last); start = addMinutes(start, slotMinutes)) {
+    if (isBefore(start, earliest)) {
+      continue;
+    }
+    const end = addMinutes(start, slotMinutes);
+    slots.push({
+      start: formatDateOutput(start, calendar.timeZone, options),
+      end: formatDateOutput(end, calendar.timeZone, options),
+      offHours: isBefore(start, hours.open) || isAfter(end, hours.close),
+    });
+  }
+  return slots;
+}
+
+/**
+ * Get the default start date for a rental as of a given moment (next business day at 9am)
+ * The same-day cutoff rule behind getDefaultStartDate, as a pure function of `now`:
+ * from 9am on (once the 8 o'clock hour is over), defaults to tomorrow. The start is then found
+ * like nextOpenTime, so weekends, holidays that stop deliveries and days closed by the hours
+ * schedule are skipped, and a day that opens after 9am starts at its opening time.
+ * @param {DateInput} now - Current moment
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @returns {object|string} TZDate in the calendar's time zone, or as options.returnAs
+ * @throws {DateHelpersError} If now is invalid, holidays is not an array, or no open day is found within 10 years
+ */
+export function getDefaultStartDateAt(now, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  now = parseDateInput(now, "now", calendar.timeZone, "now must be a valid date object");
+  assertHolidays(holidays);
+  assertReturnAs(options);
+  const compiled = resolveHolidays(holidays, calendar);
+
+  const local = new TZDate(+now, calendar.timeZone);
+
+  // From the same-day cutoff on, default to tomorrow
+  const cutoff = set(local, { ...calendar.sameDayCutoff, seconds: 0, milliseconds: 0 });
+  const atStartTime = (day) => set(day, { ...calendar.defaultStartTime, seconds: 0, milliseconds: 0 });
+  let start = atStartTime(!isBefore(local, cutoff) ? addDays(local, 1) : local);
+
+  // The next open moment from the start time; when that is on a later day, start at that day's start time
+  for (let attempt = 0; attempt <= MAX_SEARCH_DAYS; attempt++) {
+    const open = findOpenTime(calendar, compiled, start, isDeliveryDayNumber);
+    if (toDayNumber(open, calendar.timeZone) === toDayNumber(start, calendar.timeZone)) {
+      return formatDateOutput(open, calendar.timeZone, options);
+    }
+    start = atStartTime(open);
+  }
+  throw new SearchLimitError("no open business day found within 10 years", { field: "holidays" });
+}
+
+/**
+ * Get the default start date for a rental (next business day at 9am)
+ * From 9am today (once the 8 o'clock hour is over), defaults to tomorrow. Skips weekends, holidays
+ * that stop deliveries and closed days, and starts at opening time on a day that opens after 9am; see getDefaultStartDateAt.
+ * The times and working days come from the calendar; these are the CFS defaults.
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @param {object|number|Function} [options.now] - Moment to treat as now, or a clock function returning one;
+ *   defaults to the calendar's clock, then the system time
+ * @returns {object|string} TZDate in the calendar's time zone, or as options.returnAs
+ * @throws {DateHelpersError} If holidays is not an array or the clock returns an invalid date
+ */
+export function getDefaultStartDate(holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  return getDefaultStartDateAt(resolveNow(calendar, options), holidays, options);
+}
+
+/**
+ * Calculate end date based on start date and number of chargeable days
+ * Chargeable days exclude weekends and holidays that aren't chargeable.
+ * @param {DateInput} startDate - Rental start
+ * @param {number} chargePeriod - Number of chargeable days (must be >= 1)
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @param {number} [options.maxSpanDays] - Largest chargePeriod accepted (default 36525)
+ * @returns {object|string} End date, of the input's type or as options.returnAs
+ * @throws {DateHelpersError} If startDate is invalid, chargePeriod is not a whole number from 1 to maxSpanDays, or holidays
+ *   is not an array; SearchLimitError if the holidays leave no chargeable day within 10 years
+ */
+export function getEndDateByChargePeriod(startDate, chargePeriod, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  startDate = parseDateInput(startDate, "startDate", calendar.timeZone, "startDate not a valid date object");
+  if (!Number.isInteger(chargePeriod) || chargePeriod < 1) {
+    throw new InvalidArgumentError("charge period must be a whole number of at least 1", { field: "chargePeriod", value: chargePeriod });
+  }
+  assertChargeDaysWithinSpan(chargePeriod, "chargePeriod", options);
+  assertHolidays(holidays);
+  assertReturnAs(options);
+  const compiled = resolveHolidays(holidays, calendar);
+
+  const firstDay = toDayNumber(startDate, calendar.timeZone);
+  const lastDay = nthChargeableDayNumber(compiled, firstDay, chargePeriod, 1);
+
+  return formatDateOutput(addCalendarDays(startDate, lastDay - firstDay, calendar.timeZone), calendar.timeZone, options);
+}
+
+/**
+ * Find the nth chargeable day counting from a day number, the day itself included
+ * @param {object} compiled - Compiled holiday index
+ * @param {number} dayNumber - Day number to count from
+ * @param {number} n - Which chargeable day to find (at least 1)
+ * @param {number} direction - 1 to count forward, -1 to count backward
+ * @returns {number} Day number of the nth chargeable day
+ * @throws {SearchLimitError} If a gap between chargeable days exceeds MAX_SEARCH_DAYS
+ */
+function nthChargeableDayNumber(compiled, dayNumber, n, direction) {
+  let day = dayNumber;
+  if (!isChargeableDayNumber(compiled, day)) {
+    day += offsetToBusinessDay(compiled, day, direction, isChargeableDayNumber);
+  }
+  for (let i = 1; i < n; i++) {
+    day += offsetToBusinessDay(compiled, day, direction, isChargeableDayNumber);
+  }
+  return day;
+}
+
+/**
+ * Get the latest start date that gives a charge period ending on a fixed end date
+ * The mirror of getEndDateByChargePeriod: the start is the chargePeriod-th business day counting
+ * back from endDate. Starting earlier, on the weekends or holidays before it, charges the same.
+ * @param {DateInput} endDate - Rental end
+ * @param {number} chargePeriod - Number of chargeable days (whole number, at least 1)
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @param {number} [options.maxSpanDays] - Largest chargePeriod accepted (default 36525)
+ * @returns {object|string} Start date with endDate's time of day, of the input's type or as options.returnAs
+ * @throws {DateHelpersError} If endDate is invalid, chargePeriod is not a whole number from 1 to maxSpanDays, or holidays is not an array
+ */
+export function getStartDateByChargePeriod(endDate, chargePeriod, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  endDate = parseDateInput(endDate, "endDate", calendar.timeZone, "endDate not a valid date object");
+  if (!Number.isInteger(chargePeriod) || chargePeriod < 1) {
+    throw new InvalidArgumentError("charge period must be a whole number of at least 1", { field: "chargePeriod", value: chargePeriod });
+  }
+  assertChargeDaysWithinSpan(chargePeriod, "chargePeriod", options);
+  assertHolidays(holidays);
+  assertReturnAs(options);
+  const compiled = resolveHolidays(holidays, calendar);
+
+  const lastDay = toDayNumber(endDate, calendar.timeZone);
+  const firstDay = nthChargeableDayNumber(compiled, lastDay, chargePeriod, -1);
+
+  return formatDateOutput(addCalendarDays(endDate, firstDay - lastDay, calendar.timeZone), calendar.timeZone, options);
+}
+
+/**
+ * Find the most charge days a budget covers under a rate card
+ * Scans down from MAX_BUDGET_CHARGE_DAYS, since charges can fall as days are added: without
+ * capDaysAtWeeklyRate, 4 days at the day rate can cost more than a 5-day week.
+ * @param {number} budget - Most the customer will pay
+ * @param {object} rateCard - Rate card for calculateRentalCharge
+ * @returns {{ chargeDays: number, withinBudget: boolean, limited: boolean }} withinBudget is false when no day
+ *   count fits the budget; limited is true when the budget covers MAX_BUDGET_CHARGE_DAYS
+ */
+function maxAffordableChargeDays(budget, rateCard) {
+  for (let days = MAX_BUDGET_CHARGE_DAYS; days >= 0; days--) {
+    if (calculateRentalCharge(days, rateCard).total <= budget) {
+      return { chargeDays: days, withinBudget: true, limited: days === MAX_BUDGET_CHARGE_DAYS };
+    }
+  }
+  return { chargeDays: 0, withinBudget: false, limited: false };
+}
+
+/**
+ * Find the range of collection dates that give a target charge from a fixed start date
+ *
+ * Every collection date from `earliest` to `latest` (inclusive) charges the same number of days:
+ * `earliest` is the last chargeable day, and `latest` is the day before the next one, so the
+ * weekends and holidays after `earliest` are free. `earliest` skips ahead over holidays that stop
+ * collections, since no collection can be booked on them. The target is a number of charge days, or a
+ * budget under a rate card, in which case the longest rental the budget covers is found.
+ * @param {DateInput} startDate - Charge start
+ * @param {number|{ chargeDays: number }|{ budget: number, rateCard: object }} target - Charge days to hit
+ *   (whole number, 0 or more), or the budget and rate card to spend it under
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {"date"|"tzdate"|"iso"} [options.returnAs] - Return a plain Date, a TZDate in the calendar's time zone, or an ISO string
+ * @param {number} [options.maxSpanDays] - Largest charge day target accepted (default 36525)
+ * @returns {{ chargeDays: number, earliest: object|null, latest: object|null }} Collection dates with
+ *   startDate's time of day; both null when no collection date gives the target (0 days from a business day, or only
+ *   holidays that stop collections give it).
+ *   A budget target also returns `charge` (the calculateRentalCharge result), `withinBudget` and `limited`
+ * @throws {DateHelpersError} If startDate is invalid, the target or rate card is invalid, or holidays is not an array
+ */
+export function getCollectionDateRange(startDate, target, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  startDate = parseDateInput(startDate, "startDate", calendar.timeZone, "startDate not a valid date object");
+  assertHolidays(holidays);
+  assertReturnAs(options);
+
+  let chargeDays = target;
+  let budgetResult = null;
+  if (target && typeof target === "object" && target.budget !== undefined) {
+    const { budget, rateCard } = target;
+    if (typeof budget !== "number" || !Number.isFinite(budget) || budget < 0) {
+      throw new InvalidArgumentError("target.budget must be a non-negative number", { field: "target.budget", value: budget });
+    }
+    budgetResult = maxAffordableChargeDays(budget, rateCard);
+    chargeDays = budgetResult.chargeDays;
+    budgetResult.charge = calculateRentalCharge(chargeDays, rateCard);
+  } else if (target && typeof target === "object") {
+    chargeDays = target.chargeDays;
+  }
+  if (!Number.isInteger(chargeDays) || chargeDays < 0) {
+    throw new InvalidArgumentError("target must be a whole number of charge days, { chargeDays }, or { budget, rateCard }", {
+      field: "target",
+      value: target,
+    });
+  }
+  assertChargeDaysWithinSpan(chargeDays, "target", options);
+
+  const compiled = resolveHolidays(holidays, calendar);
+  const firstDay = toDayNumber(startDate, calendar.timeZone);
+  let earliestDay = chargeDays === 0 ? firstDay : nthChargeableDayNumber(compiled, firstDay, chargeDays, 1);
+  const latestDay = nthChargeableDayNumber(compiled, firstDay, chargeDays + 1, 1) - 1;
+  while (earliestDay <= latestDay && compiled.noDeliveryDays.has(earliestDay)) {
+    earliestDay++;
+  }
+
+  const collectionOn = (day) => formatDateOutput(addCalendarDays(startDate, day - firstDay, calendar.timeZone), calendar.timeZone, options);
+  const range = latestDay < earliestDay
+    ? { chargeDays, earliest: null, latest: null }
+    : { chargeDays, earliest: collectionOn(earliestDay), latest: collectionOn(latestDay) };
+
+  if (!budgetResult) {
+    return range;
+  }
+  return { ...range, charge: budgetResult.charge, withinBudget: budgetResult.withinBudget, limited: budgetResult.limited };
+}
+
+/**
+ * Describe one calendar day for an explain ledger
+ * Uncharged holidays are reported before non-working days, so a holiday on a weekend reads as the
+ * holiday. A chargeable holiday on a working day is charged and still listed in `holiday`.
+ * @param {object} compiled - Compiled holiday index
+ * @param {number} dayNumber - Day number from toDayNumber
+ * @returns {{ date: string, weekday: number, chargeable: boolean, reason: string|null, holiday: string|object|null }}
+ */
+function describeDayNumber(compiled, dayNumber) {
+  const weekday = weekdayOfDayNumber(dayNumber);
+  const holiday = getHolidayEntry(compiled, dayNumber);
+  let reason = null;
+  if (holiday !== null && !getHolidayDetails(compiled, dayNumber).chargeable) {
+    reason = "holiday";
+  } else if (!compiled.workingDays.includes(weekday)) {
+    reason = "weekend";
+  }
+  return { date: dayNumberToKey(dayNumber), weekday, chargeable: reason === null, reason, holiday };
+}
+
+/**
+ * Count CFS business days between two dates (excludes weekends and CFS holidays)
+ * Days are calendar days in the calendar's time zone, counted in constant time from the compiled holiday index.
+ * Holidays are excluded when they aren't chargeable, so a "no-delivery" holiday, or one marked
+ * `chargeable: true`, is counted.
+ *
+ * A range whose end is on an earlier day than its start counts the same days as the range the
+ * right way round, negated, with empty labels; `options.strict` makes it an error instead.
+ * @param {DateInput} start - First day
+ * @param {DateInput} end - Last day
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects (CFS holiday list), or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {boolean} [options.explain] - Also return a per-day `ledger` and the `excluded` weekend and holiday counts
+ * @param {object} [options.labels] - formatPeriod options for label and periodLabel, e.g. `{ locale: "es" }`
+ * @param {boolean} [options.strict] - Throw if end is before start, instead of returning negative counts
+ * @param {number} [options.maxSpanDays] - Longest range accepted, in calendar days (default 36525)
+ * @returns {{ calendarDays: number, calendarWeeks: number, days: number, weeks: number, label: string, periodLabel: string }}
+ * @throws {DateHelpersError} If start or end is invalid, the range is reversed under strict or longer than maxSpanDays,
+ *   or holidays is not an array
+ */
+export function countCfsBusinessDays(start, end, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  const endValue = end;
+  start = parseDateInput(start, "start", calendar.timeZone, "start and end must be valid date objects");
+  end = parseDateInput(end, "end", calendar.timeZone, "start and end must be valid date objects");
+  assertRange(start, end, calendar.timeZone, options, { start: "start", end: "end", value: endValue });
+  assertHolidays(holidays);
+
+  const compiled = resolveHolidays(holidays, calendar);
+  let startDay = toDayNumber(start, calendar.timeZone);
+  let endDay = toDayNumber(end, calendar.timeZone);
+  const sign = endDay < startDay ? -1 : 1;
+  if (sign < 0) {
+    [startDay, endDay] = [endDay, startDay];
+  }
+
+  const calendarDays = sign * (endDay - startDay + 1);
+  const days = sign * countBusinessDayNumbers(compiled, startDay, endDay);
+
+  const weeks = days / 5;
+  const calendarWeeks = calendarDays / 5;
+  const { label, periodLabel } = getPeriodLabels(days, options.labels);
+
+  if (!options.explain) {
+    return { calendarDays, calendarWeeks, days, weeks, label, periodLabel };
+  }
+
+  const ledger = [];
+  for (let day = startDay; day <= endDay; day++) {
+    ledger.push(describeDayNumber(compiled, day));
+  }
+
+  return { calendarDays, calendarWeeks, days, weeks, label, periodLabel, ledger, excluded: countExcluded(ledger) };
+}
+
+/**
+ * Count the ledger days excluded from charging, by reason
+ * @param {Array<object>} ledger - Explain ledger entries
+ * @returns {{ weekendDays: number, holidayDays: number }}
+ */
+function countExcluded(ledger) {
+  const excluded = { weekendDays: 0, holidayDays: 0 };
+  for (const entry of ledger) {
+    if (entry.reason === "weekend") {
+      excluded.weekendDays++;
+    } else if (entry.reason === "holiday") {
+      excluded.holidayDays++;
+    }
+  }
+  return excluded;
+}
+
+/**
+ * Build the unit label and period label for a number of business days
+ * Negative counts (a reversed range) get empty labels.
+ * @param {number} days - Business days, may be fractional
+ * @param {object} [labelOptions] - Options for formatPeriod
+ * @returns {{ label: string, periodLabel: string }}
+ */
+function getPeriodLabels(days, labelOptions) {
+  if (days < 0) {
+    return { label: "", periodLabel: "" };
+  }
+  const { label, periodLabel } = formatPeriod(days, labelOptions);
+  return { label, periodLabel };
+}
+
+/**
+ * Validate a proration policy and fill in defaults
+ * @param {boolean|object} proration - `true` for DEFAULT_PRORATION_POLICY, or a policy object
+ * @returns {{ halfDayCutoff: object|null, offHours: boolean }}
+ * @throws {InvalidArgumentError} If the policy is invalid
+ */
+function normalizeProrationPolicy(proration) {
+  if (proration !== true && (typeof proration !== "object" || proration === null)) {
+    throw new InvalidArgumentError("proration must be true or a policy object", { field: "proration", value: proration });
+  }
+  const policy = { ...DEFAULT_PRORATION_POLICY, ...(proration === true ? {} : proration) };
+  return {
+    halfDayCutoff: policy.halfDayCutoff === null ? null : parseTimeOfDay(policy.halfDayCutoff, "proration.halfDayCutoff"),
+    offHours: Boolean(policy.offHours),
+  };
+}
+
+/**
+ * Decide how much of the first or last charge day counts under a proration policy
+ * @param {object} date - Boundary date (TZDate in the calendar's time zone)
+ * @param {"start"|"end"} boundary - Which end of the charge window date is
+ * @param {object} policy - Policy from normalizeProrationPolicy
+ * @param {object} compiled - Compiled holiday index
+ * @param {object} options - getDuration options
+ * @returns {{ factor: number, reason: string|null }} Share of the day charged, and why it was reduced
+ */
+function getBoundaryCharge(date, boundary, policy, compiled, options) {
+  if (!isChargeableDayNumber(compiled, toDayNumber(date, compiled.timeZone))) {
+    return { factor: 1, reason: null };
+  }
+
+  if (policy.offHours) {
+    const hours = getBusinessHours(date, options);
+    if (hours.closed) {
+      return { factor: 0, reason: boundary + "-off-hours" };
+    }
+    if (boundary === "start" ? isAfter(date, hours.close) : isBefore(date, hours.open)) {
+      return { factor: 0, reason: boundary + "-off-hours" };
+    }
+  }
+
+  if (policy.halfDayCutoff) {
+    const cutoff = set(date, { ...policy.halfDayCutoff, seconds: 0, milliseconds: 0 });
+    if (boundary === "start" ? !isBefore(date, cutoff) : !isAfter(date, cutoff)) {
+      return { factor: 0.5, reason: boundary === "start" ? "start-after-half-day-cutoff" : "end-before-half-day-cutoff" };
+    }
+  }
+
+  return { factor: 1, reason: null };
+}
+
+/**
+ * Split a charge window into whole billing cycles and the leftover chargeable days
+ * A cycle is complete once the window covers every day up to its anniversary. The anniversaries
+ * themselves aren't moved for counting; only the reported next billing date rolls forward past
+ * weekends and holidays, to the next business day.
+ * @param {object} chargeStart - Parsed charge window start
+ * @param {object} chargeEnd - Parsed charge window end
+ * @param {number} chargeDays - Chargeable days in the whole window
+ * @param {string} cycle - Key of BILLING_CYCLES
+ * @param {object} compiled - Compiled holiday index
+ * @returns {{ billingCycle: string, chargeMonths: number, chargeRemainderWeeks: number, chargeRemainderDays: number, nextBillingDate: string }}
+ * @throws {SearchLimitError} If no business day follows the next anniversary within MAX_SEARCH_DAYS
+ */
+function getBillingCycles(chargeStart, chargeEnd, chargeDays, cycle, compiled) {
+  const { timeZone } = compiled;
+  const endDay = toDayNumber(chargeEnd, timeZone);
+  const anniversaryDay = (n) => toDayNumber(getBillingAnniversary(chargeStart, cycle, n, timeZone), timeZone);
+
+  let months = 0;
+  while (anniversaryDay(months + 1) <= endDay + 1) {
+    months++;
+  }
+  const remainder = months === 0 ? chargeDays : countBusinessDayNumbers(compiled, anniversaryDay(months), endDay);
+  const remainderWeeks = Math.trunc(remainder / 5);
+
+  const next = anniversaryDay(months) > endDay ? months : months + 1;
+  const nextDay = anniversaryDay(next);
+  const roll = isBusinessDayNumber(compiled, nextDay) ? 0 : offsetToBusinessDay(compiled, nextDay, 1);
+  const nextBillingDate = addCalendarDays(getBillingAnniversary(chargeStart, cycle, next, timeZone), roll, timeZone);
+
+  return {
+    billingCycle: cycle,
+    chargeMonths: months,
+    chargeRemainderWeeks: remainderWeeks,
+    chargeRemainderDays: remainder - remainderWeeks * 5,
+    nextBillingDate: nextBillingDate.toISOString(),
+  };
+}
+
+/**
+ * Calculate active and chargeable durations for an order's dates
+ * A paused rental can list `charge_segments` (the windows to charge, replacing charge_start/charge_end)
+ * or `off_hire` intervals (whole days removed from the charge window), each as `{ start, end }` ISO strings.
+ * Each segment is counted with countCfsBusinessDays; segments that share a day are rejected.
+ * @param {object} dates - Order dates object with delivery_start, collection_start, and optional charge_start, charge_end,
+ *   charge_segments or off_hire
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {boolean|object} [options.proration] - Prorate the first and last charge days by time of day; `true` uses
+ *   DEFAULT_PRORATION_POLICY. `halfDayCutoff` ("HH:mm", or null to disable): a start at or after it, or an end at
+ *   or before it, charges half that day. `offHours`: a start after closing, or an end before opening, charges nothing for that day
+ * @param {boolean} [options.explain] - Also return a per-day `ledger` covering the active and charge windows, and
+ *   the `excluded` weekend, holiday, outside-charge-window and off-hire counts
+ * @param {object} [options.labels] - formatPeriod options for the *Label fields, e.g. `{ locale: "es" }`
+ * @param {boolean} [options.strict] - Throw if collection_start is before delivery_start, or charge_end before charge_start,
+ *   instead of returning negative counts
+ * @param {number} [options.maxSpanDays] - Longest active or charge window accepted, in calendar days (default 36525)
+ * @param {"weekly"|"4-weekly"|"monthly"} [options.billingCycle] - Also split the charge window into billing cycles: weeks,
+ *   4-week rental months, or calendar-month anniversaries of the charge start. Can't be combined with proration, charge_segments or off_hire
+ * @returns {object} Duration object with active and charge period values; with proration, chargeDays may be
+ *   fractional and chargeAdjustments lists each boundary adjustment; with segments, chargeSegments gives each
+ *   segment's start, end, chargeDays, chargeWeeks and labels; with billingCycle, chargeMonths (whole cycles),
+ *   chargeRemainderWeeks and chargeRemainderDays (chargeable days after the last anniversary, weeks of 5) and
+ *   nextBillingDate (the first anniversary after the charge window, moved to a business day)
+ * @throws {DateHelpersError} If dates is not an object, required fields are missing or unparseable, segments are
+ *   malformed or overlap, a window is reversed under strict or longer than maxSpanDays, holidays is not an array,
+ *   or proration is invalid
+ */
+export function getDuration(dates, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  if (!dates || typeof dates !== "object") {
+    throw new InvalidArgumentError("dates must be a non-null object", { field: "dates", value: dates });
+  }
+  if (!dates.delivery_start || !dates.collection_start) {
+    const field = dates.delivery_start ? "collection_start" : "delivery_start";
+    throw new InvalidArgumentError("dates.delivery_start and dates.collection_start are required", { field, value: dates[field] });
+  }
+  assertHolidays(holidays);
+  const compiled = resolveHolidays(holidays, calendar);
+  const countOptions = { ...options, explain: false };
+
+  const activeMessage = "delivery_start or collection_start is not a valid date string";
+  const deliveryStart = parseDateField(dates.delivery_start, "delivery_start", calendar.timeZone, activeMessage);
+  const collectionStart = parseDateField(dates.collection_start, "collection_start", calendar.timeZone, activeMessage);
+  assertRange(deliveryStart, collectionStart, calendar.timeZone, options, {
+    start: "delivery_start",
+    end: "collection_start",
+    value: dates.collection_start,
+  });
+
+  const active = countCfsBusinessDays(deliveryStart, collectionStart, compiled, countOptions);
+
+  const chargeStart = dates.charge_start ? dates.charge_start : dates.delivery_start;
+  const chargeEnd = dates.charge_end ? dates.charge_end : dates.collection_start;
+
+  let parsedChargeStart = dates.charge_start ? parseDateField(dates.charge_start, "charge_start", calendar.timeZone) : deliveryStart;
+  let parsedChargeEnd = dates.charge_end ? parseDateField(dates.charge_end, "charge_end", calendar.timeZone) : collectionStart;
+  assertRange(parsedChargeStart, parsedChargeEnd, calendar.timeZone, options, { start: "charge_start", end: "charge_end", value: chargeEnd });
+
+  const segmented = getChargeSegments(dates, parsedChargeStart, parsedChargeEnd, calendar.timeZone);
+  if (options.billingCycle !== undefined) {
+    assertBillingCycle(options.billingCycle, "billingCycle");
+    if (segmented || options.proration) {
+      throw new InvalidArgumentError("billingCycle cannot be combined with proration, charge_segments or off_hire", {
+        field: "billingCycle",
+        value: options.billingCycle,
+      });
+    }
+  }
+  // Proration shares out a window's first and last days, which a reversed window doesn't have
+  if (options.proration) {
+    const reversed = (start, end) => toDayNumber(end, calendar.timeZone) < toDayNumber(start, calendar.timeZone);
+    if (reversed(deliveryStart, collectionStart)) {
+      throw new InvalidArgumentError("collection_start is before delivery_start, which can't be prorated", {
+        field: "collection_start",
+        value: dates.collection_start,
+      });
+    }
+    if (reversed(parsedChargeStart, parsedChargeEnd)) {
+      throw new InvalidArgumentError("charge_end is before charge_start, which can't be prorated", { field: "charge_end", value: chargeEnd });
+    }
+  }
+  let charge;
+  let segmentCharges = null;
+  if (segmented) {
+    segmentCharges = segmented.segments.map(({ start, end }) => countCfsBusinessDays(start, end, compiled, countOptions));
+    const days = segmentCharges.reduce((sum, segment) => sum + segment.days, 0);
+    charge = { days, weeks: days / 5, ...getPeriodLabels(days, options.labels) };
+    if (segmented.segments.length) {
+      parsedChargeStart = segmented.segments[0].start;
+      parsedChargeEnd = segmented.segments[segmented.segments.length - 1].end;
+    }
+  } else if (chargeStart === dates.delivery_start && chargeEnd === dates.collection_start) {
+    charge = active;
+  } else {
+    charge = countCfsBusinessDays(parsedChargeStart, parsedChargeEnd, compiled, countOptions);
+  }
+
+  const duration = {
+    activeDays: active.days,
+    activeWeeks: active.weeks,
+    activeLabel: active.label,
+    activePeriodLabel: active.periodLabel,
+    chargeDays: charge.days,
+    chargeWeeks: charge.weeks,
+    chargeLabel: charge.label,
+    chargePeriodLabel: charge.periodLabel,
+  };
+  if (options.billingCycle !== undefined) {
+    Object.assign(duration, getBillingCycles(parsedChargeStart, parsedChargeEnd, charge.days, options.billingCycle, compiled));
+  }
+
+  const dayOf = (date) => toDayNumber(date, calendar.timeZone);
+  const windows = {
+    activeStart: dayOf(deliveryStart),
+    activeEnd: dayOf(collectionStart),
+    chargeRanges: segmented
+      ? segmented.segments.map(({ start, end }) => [dayOf(start), dayOf(end)])
+      : [[dayOf(parsedChargeStart), dayOf(parsedChargeEnd)]],
+    offHire: segmented ? segmented.offHire : [],
+  };
+
+  if (!options.proration) {
+    const result = segmented ? { ...duration, chargeSegments: describeSegments(segmented.segments, segmentCharges, [], options) } : duration;
+    return options.explain ? { ...result, ...explainDuration(compiled, windows, []) } : result;
+  }
+
+  const policy = normalizeProrationPolicy(options.proration);
+  let boundaries = [
+    { boundary: "start", date: parsedChargeStart, ...getBoundaryCharge(parsedChargeStart, "start", policy, compiled, options) },
+    { boundary: "end", date: parsedChargeEnd, ...getBoundaryCharge(parsedChargeEnd, "end", policy, compiled, options) },
+  ];
+  // A same-day charge window is one day: the lower of the two shares applies
+  if (isSameDay(parsedChargeStart, parsedChargeEnd)) {
+    boundaries = [boundaries[0].factor <= boundaries[1].factor ? boundaries[0] : boundaries[1]];
+  }
+  // Off-hire can leave nothing to charge, and so nothing to prorate
+  if (segmented && !segmented.segments.length) {
+    boundaries = [];
+  }
+
+  const chargeAdjustments = boundaries
+    .filter(({ factor }) => factor < 1)
+    .map(({ boundary, date, factor, reason }) => ({ boundary, date: date.toISOString(), factor, days: factor - 1, reason }));
+  const chargeDays = Math.max(0, charge.days + chargeAdjustments.reduce((sum, { days }) => sum + days, 0));
+  const { label, periodLabel } = getPeriodLabels(chargeDays, options.labels);
+
+  const prorated = {
+    ...duration,
+    chargeDays,
+    chargeWeeks: chargeDays / 5,
+    chargeLabel: label,
+    chargePeriodLabel: periodLabel,
+    chargeWholeDays: charge.days,
+    chargeAdjustments,
+  };
+  if (segmented) {
+    prorated.chargeSegments = describeSegments(segmented.segments, segmentCharges, chargeAdjustments, options);
+  }
+
+  if (!options.explain) {
+    return prorated;
+  }
+  const adjustments = boundaries
+    .filter(({ factor }) => factor < 1)
+    .map(({ date, factor, reason }) => ({ day: toDayNumber(date, calendar.timeZone), factor, reason }));
+  return { ...prorated, ...explainDuration(compiled, windows, adjustments) };
+}
+
+/**
+ * Build the explain ledger for getDuration
+ * Covers every day of the active window and the charge ranges. Business days outside the charge
+ * ranges are not chargeable, and prorated boundary days carry their share in `charge`.
+ * @param {object} compiled - Compiled holiday index
+ * @param {{ activeStart: number, activeEnd: number, chargeRanges: Array<Array<number>>, offHire: Array<Array<number>> }} windows -
+ *   Active window, charge ranges and off-hire intervals as day numbers
+ * @param {Array<{ day: number, factor: number, reason: string }>} adjustments - Prorated boundary days
+ * @returns {{ ledger: Array<object>, excluded: { weekendDays: number, holidayDays: number, outsideChargeWindowDays: number, offHireDays: number } }}
+ */
+function explainDuration(compiled, windows, adjustments) {
+  const { chargeRanges } = windows;
+  const inRanges = (ranges, day) => ranges.some(([from, to]) => day >= from && day <= to);
+  const first = chargeRanges.length ? Math.min(windows.activeStart, chargeRanges[0][0]) : windows.activeStart;
+  const last = chargeRanges.length ? Math.max(windows.activeEnd, chargeRanges[chargeRanges.length - 1][1]) : windows.activeEnd;
+
+  const ledger = [];
+  for (let day = first; day <= last; day++) {
+    const entry = describeDayNumber(compiled, day);
+    const inActiveWindow = day >= windows.activeStart && day <= windows.activeEnd;
+    const inChargeWindow = inRanges(chargeRanges, day);
+    let charge = entry.chargeable ? 1 : 0;
+
+    if (entry.chargeable && !inChargeWindow) {
+      entry.chargeable = false;
+      entry.reason = inRanges(windows.offHire, day) ? "off-hire" : "outside-charge-window";
+      charge = 0;
+    }
+    const adjustment = entry.chargeable ? adjustments.find((item) => item.day === day) : undefined;
+    if (adjustment) {
+      charge = adjustment.factor;
+      entry.chargeable = charge > 0;
+      entry.reason = adjustment.reason;
+    }
+
+    ledger.push({ ...entry, charge, inActiveWindow, inChargeWindow });
+  }
+
+  const inCharge = ledger.filter((entry) => entry.inChargeWindow);
+  return {
+    ledger,
+    excluded: {
+      ...countExcluded(inCharge),
+      outsideChargeWindowDays: ledger.filter((entry) => entry.reason === "outside-charge-window").length,
+      offHireDays: ledger.filter((entry) => entry.reason === "off-hire").length,
+    },
+  };
+}
+
+/**
+ * Parse and order a list of { start, end } intervals from an order's dates object
+ * @param {*} list - dates.charge_segments or dates.off_hire
+ * @param {string} field - "charge_segments" or "off_hire", for error details
+ * @param {string} timeZone - Calendar time zone
+ * @returns {Array<{ start: object, end: object, startDay: number, endDay: number }>} Intervals sorted by start
+ * @throws {DateHelpersError} If the list is malformed, an interval ends before it starts, or two intervals share a day
+ */
+function parseIntervals(list, field, timeZone) {
+  if (!Array.isArray(list)) {
+    throw new InvalidArgumentError(`dates.${field} must be an array of { start, end } date strings`, { field, value: list });
+  }
+  const intervals = list.map((interval, index) => {
+    const name = `${field}[${index}]`;
+    if (!interval || typeof interval !== "object") {
+      throw new InvalidArgumentError(`dates.${field} must be an array of { start, end } date strings`, { field: name, value: interval });
+    }
+    const start = parseDateField(interval.start, `${name}.start`, timeZone);
+    const end = parseDateField(interval.end, `${name}.end`, timeZone);
+    if (isBefore(end, start)) {
+      throw new InvalidArgumentError(`${name}.end is before ${name}.start`, { field: `${name}.end`, value: interval.end });
+    }
+    return { start, end, startDay: toDayNumber(start, timeZone), endDay: toDayNumber(end, timeZone), index };
+  });
+
+  intervals.sort((a, b) => a.startDay - b.startDay || a.index - b.index);
+  for (let i = 1; i < intervals.length; i++) {
+    if (intervals[i].startDay <= intervals[i - 1].endDay) {
+      const name = `${field}[${intervals[i].index}]`;
+      throw new InvalidArgumentError(`dates.${field} must not overlap`, { field: name, value: list[intervals[i].index] });
+    }
+  }
+  return intervals;
+}
+
+/**
+ * Resolve the charge segments of an order
+ * `charge_segments` lists the charged windows directly and replaces charge_start/charge_end.
+ * `off_hire` lists whole calendar days to stop charging, removed from the charge window.
+ * @param {object} dates - Order dates object
+ * @param {object} chargeStart - Parsed charge window start
+ * @param {object} chargeEnd - Parsed charge window end
+ * @param {string} timeZone - Calendar time zone
+ * @returns {{ segments: Array<{ start: object, end: object }>, offHire: Array<Array<number>> }|null} Segments in
+ *   order with off-hire day ranges, or null for a single charge window
+ * @throws {DateHelpersError} If the lists are malformed, overlap, or both are given
+ */
+function getChargeSegments(dates, chargeStart, chargeEnd, timeZone) {
+  const hasSegments = dates.charge_segments !== undefined && dates.charge_segments !== null;
+  const hasOffHire = dates.off_hire !== undefined && dates.off_hire !== null;
+  if (!hasSegments && !hasOffHire) {
+    return null;
+  }
+  if (hasSegments && hasOffHire) {
+    throw new InvalidArgumentError("dates.charge_segments and dates.off_hire cannot be combined", { field: "off_hire", value: dates.off_hire });
+  }
+  if (hasSegments) {
+    const segments = parseIntervals(dates.charge_segments, "charge_segments", timeZone);
+    return { segments: segments.map(({ start, end }) => ({ start, end })), offHire: [] };
+  }
+
+  const offHire = parseIntervals(dates.off_hire, "off_hire", timeZone);
+  const startDay = toDayNumber(chargeStart, timeZone);
+  const endDay = toDayNumber(chargeEnd, timeZone);
+  const startOf = (day) => parseISO(dayNumberToKey(day), { in: tz(timeZone) });
+
+  const ranges = [];
+  let cursor = startDay;
+  for (const interval of offHire) {
+    if (interval.startDay > cursor) {
+      ranges.push([cursor, Math.min(interval.startDay - 1, endDay)]);
+    }
+    cursor = Math.max(cursor, interval.endDay + 1);
+  }
+  ranges.push([cursor, endDay]);
+
+  const segments = ranges
+    .filter(([from, to]) => from <= to)
+    .map(([from, to]) => ({
+      start: from === startDay ? chargeStart : startOf(from),
+      end: to === endDay ? chargeEnd : startOf(to),
+    }));
+
+  return { segments, offHire: offHire.map(({ startDay: from, endDay: to }) => [from, to]) };
+}
+
+/**
+ * Describe each charge segment for getDuration's chargeSegments
+ * Proration adjusts the first segment's start and the last segment's end.
+ * @param {Array<{ start: object, end: object }>} segments - Charge segments in order
+ * @param {Array<object>} counts - countCfsBusinessDays result for each segment
+ * @param {Array<object>} adjustments - chargeAdjustments from proration
+ * @param {object} options - getDuration options
+ * @returns {Array<object>} `{ start, end, chargeDays, chargeWeeks, chargeLabel, chargePeriodLabel }` per segment
+ */
+function describeSegments(segments, counts, adjustments, options) {
+  return segments.map(({ start, end }, index) => {
+    let chargeDays = counts[index].days;
+    for (const adjustment of adjustments) {
+      const applies = adjustment.boundary === "start" ? index === 0 : index === segments.length - 1;
+      if (applies) {
+        chargeDays += adjustment.days;
+      }
+    }
+    chargeDays = Math.max(0, chargeDays);
+    const { label, periodLabel } = getPeriodLabels(chargeDays, options.labels);
+    return {
+      start: start.toISOString(),
+      end: end.toISOString(),
+      chargeDays,
+      chargeWeeks: chargeDays / 5,
+      chargeLabel: label,
+      chargePeriodLabel: periodLabel,
+    };
+  });
+}
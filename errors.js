@@ -0,0 +1,57 @@
+/**
+ * @cfs/date-helpers - errors
+ *
+ * Every helper throws a DateHelpersError subclass. `code` is stable, so callers can map
+ * errors to HTTP statuses or form messages without matching message text. `field` names
+ * the argument or config field at fault, and `value` holds what was passed.
+ */
+
+/**
+ * Base class of every error thrown by @cfs/date-helpers
+ */
+export class DateHelpersError extends Error {
+  static code = "date-helpers-error";
+
+  /**
+   * @param {string} message - Human-readable message
+   * @param {object} [details]
+   * @param {string} [details.code] - Stable error code, defaults to the subclass code
+   * @param {string|null} [details.field] - Argument or config field at fault
+   * @param {*} [details.value] - The offending value
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.code = details.code || new.target.code;
+    this.field = details.field === undefined ? null : details.field;
+    this.value = details.value;
+  }
+}
+
+/**
+ * A date argument is missing, not a date, or not a parseable date string
+ */
+export class InvalidDateError extends DateHelpersError {
+  static code = "invalid-date";
+}
+
+/**
+ * A non-date argument or option has the wrong type or is out of range
+ */
+export class InvalidArgumentError extends DateHelpersError {
+  static code = "invalid-argument";
+}
+
+/**
+ * A createBusinessCalendar config field is invalid
+ */
+export class InvalidConfigError extends InvalidArgumentError {
+  static code = "invalid-config";
+}
+
+/**
+ * A search for a business day or open time gave up before finding one
+ */
+export class SearchLimitError extends DateHelpersError {
+  static code = "search-limit-exceeded";
+}
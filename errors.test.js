@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest";
+import { TZDate } from "@date-fns/tz";
+import {
+  DateHelpersError,
+  InvalidArgumentError,
+  InvalidConfigError,
+  InvalidDateError,
+  SearchLimitError,
+} from "./errors.js";
+import {
+  calculateRentalCharge,
+  countCfsBusinessDays,
+  createBusinessCalendar,
+  formatPeriod,
+  generateHolidays,
+  getDuration,
+  getEndDateByChargePeriod,
+  isHoliday,
+  isOffHours,
+  nextBusinessDay,
+  validateOrderDates,
+} from "./index.js";
+
+/**
+ * Run fn and return what it threw
+ */
+function caught(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("expected a throw");
+}
+
+const monday = new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago");
+
+describe("DateHelpersError", () => {
+  it("carries code, field and value", () => {
+    const error = new InvalidDateError("date must be a valid date object", { field: "date", value: null });
+    expect(error).toBeInstanceOf(DateHelpersError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe("InvalidDateError");
+    expect(error.code).toBe("invalid-date");
+    expect(error.field).toBe("date");
+    expect(error.value).toBeNull();
+  });
+
+  it("gives each subclass its own code", () => {
+    expect(new DateHelpersError("x").code).toBe("date-helpers-error");
+    expect(new InvalidArgumentError("x").code).toBe("invalid-argument");
+    expect(new InvalidConfigError("x").code).toBe("invalid-config");
+    expect(new InvalidConfigError("x")).toBeInstanceOf(InvalidArgumentError);
+    expect(new SearchLimitError("x").code).toBe("search-limit-exceeded");
+    expect(new InvalidArgumentError("x", { code: "custom" }).code).toBe("custom");
+  });
+});
+
+describe("thrown errors", () => {
+  it("reports invalid dates with the argument name", () => {
+    const error = caught(() => isOffHours(null));
+    expect(error).toBeInstanceOf(InvalidDateError);
+    expect(error.field).toBe("date");
+    expect(caught(() => countCfsBusinessDays(monday, "next friday", [])).field).toBe("end");
+  });
+
+  it("rejects values that are not date inputs", () => {
+    expect(() => isHoliday(NaN, [])).toThrow(InvalidDateError);
+    expect(() => nextBusinessDay("next monday", [])).toThrow(InvalidDateError);
+    expect(() => nextBusinessDay({ seconds: "1718600000" }, [])).toThrow(InvalidDateError);
+  });
+
+  it("reports invalid holidays", () => {
+    const error = caught(() => isHoliday(monday, "2024-12-25"));
+    expect(error).toBeInstanceOf(InvalidArgumentError);
+    expect(error).toMatchObject({ code: "invalid-argument", field: "holidays", value: "2024-12-25" });
+    expect(caught(() => isHoliday(monday, ["2024-12-25", 20241226])).field).toBe("holidays[1]");
+    expect(caught(() => countCfsBusinessDays(monday, monday, [null])).field).toBe("holidays[0]");
+  });
+
+  it("only accepts a whole charge period of at least 1", () => {
+    for (const chargePeriod of [2.5, NaN, "3", Infinity, 0]) {
+      const error = caught(() => getEndDateByChargePeriod(monday, chargePeriod, []));
+      expect(error).toBeInstanceOf(InvalidArgumentError);
+      expect(error.message).toBe("charge period must be a whole number of at least 1");
+      expect(error.field).toBe("chargePeriod");
+    }
+  });
+
+  it("reports unparseable order dates by field", () => {
+    const dates = { delivery_start: monday.toISOString(), collection_start: monday.toISOString() };
+    const error = caught(() => getDuration({ ...dates, charge_end: "soon" }, []));
+    expect(error).toBeInstanceOf(InvalidDateError);
+    expect(error).toMatchObject({ field: "charge_end", value: "soon", message: "charge_end is not a valid date string" });
+    expect(caught(() => getDuration({ ...dates, delivery_start: true }, [])).field).toBe("delivery_start");
+    expect(caught(() => getDuration({ delivery_start: dates.delivery_start }, [])).field).toBe("collection_start");
+  });
+
+  it("reports config problems as InvalidConfigError", () => {
+    const error = caught(() => createBusinessCalendar({ openTime: "8am" }));
+    expect(error).toBeInstanceOf(InvalidConfigError);
+    expect(error).toMatchObject({ code: "invalid-config", field: "openTime", value: "8am" });
+    expect(caught(() => createBusinessCalendar({ specialHours: [{ date: "2024-12-24" }] })).field).toBe("specialHours[0]");
+  });
+
+  it("reports a search that gives up as SearchLimitError", () => {
+    const calendar = createBusinessCalendar({ weeklyHours: { 0: null, 1: null, 2: null, 3: null, 4: null, 5: null, 6: null } });
+    const error = caught(() => calendar.nextOpenTime(monday));
+    expect(error).toBeInstanceOf(SearchLimitError);
+    expect(error.code).toBe("search-limit-exceeded");
+  });
+
+  it("uses the hierarchy in every module", () => {
+    expect(caught(() => generateHolidays([{ type: "fixed", month: 13, day: 1 }], 2024)).field).toBe("rules[0]");
+    expect(caught(() => calculateRentalCharge(1, { dayRate: -1 })).field).toBe("rateCard.dayRate");
+    expect(caught(() => formatPeriod(1, { unit: "year" }))).toBeInstanceOf(InvalidArgumentError);
+    expect(caught(() => validateOrderDates({}, [], { severity: { typo: "error" } })).field).toBe("severity.typo");
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * @cfs/date-helpers - holiday rules
+ *
+ * Generates the CFS holiday list from rules instead of hand-entered ISO strings.
+ * Output is an array of "YYYY-MM-DD" strings that can be passed straight into
+ * the `holidays` parameter of every helper in index.js.
+ */
+
+import { addDays, format, getDay, getDaysInMonth } from "date-fns";
+import { TZDate } from "@date-fns/tz";
+
+import { InvalidArgumentError, InvalidConfigError } from "./errors.js";
+import { dayNumberFromKey } from "./holidays.js";
+
+/**
+ * Holidays CFS is closed for. Fixed-date holidays that fall on a weekend are
+ * observed on the nearest weekday (Saturday → Friday, Sunday → Monday).
+ */
+export const CFS_HOLIDAY_RULES = Object.freeze([
+  { name: "New Year's Day", type: "fixed", month: 1, day: 1, observed: true },
+  { name: "Memorial Day", type: "last-weekday", month: 5, weekday: 1 },
+  { name: "Independence Day", type: "fixed", month: 7, day: 4, observed: true },
+  { name: "Labor Day", type: "nth-weekday", month: 9, weekday: 1, nth: 1 },
+  { name: "Thanksgiving", type: "nth-weekday", month: 11, weekday: 4, nth: 4 },
+  { name: "Christmas Day", type: "fixed", month: 12, day: 25, observed: true },
+]);
+
+const RULE_TYPES = ["fixed", "nth-weekday", "last-weekday", "one-off"];
+
+/**
+ * Resolve a single rule to its (unshifted) date in a given year
+ * @param {object} rule - Holiday rule
+ * @param {number} year - Full year, e.g. 2025
+ * @returns {object|null} TZDate in America/Chicago, or null if the rule doesn't apply that year
+ */
+function resolveRule(rule, year) {
+  if (rule.fromYear !== undefined && year < rule.fromYear) return null;
+  if (rule.untilYear !== undefined && year > rule.untilYear) return null;
+
+  switch (rule.type) {
+    case "fixed": {
+      // February 29th only exists in leap years
+      const first = new TZDate(year, rule.month - 1, 1, "America/Chicago");
+      return rule.day <= getDaysInMonth(first) ? new TZDate(year, rule.month - 1, rule.day, "America/Chicago") : null;
+    }
+    case "nth-weekday": {
+      const first = new TZDate(year, rule.month - 1, 1, "America/Chicago");
+      const offset = (rule.weekday - getDay(first) + 7) % 7;
+      const day = addDays(first, offset + (rule.nth - 1) * 7);
+      return day.getMonth() === rule.month - 1 ? day : null;
+    }
+    case "last-weekday": {
+      const first = new TZDate(year, rule.month - 1, 1, "America/Chicago");
+      const last = new TZDate(year, rule.month - 1, getDaysInMonth(first), "America/Chicago");
+      return addDays(last, -((getDay(last) - rule.weekday + 7) % 7));
+    }
+    case "one-off": {
+      const [y, m, d] = rule.date.split("-").map(Number);
+      return y === year ? new TZDate(y, m - 1, d, "America/Chicago") : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Shift a weekend date to the weekday it is observed on
+ * @param {object} date - TZDate in America/Chicago
+ * @returns {object} Friday for a Saturday, Monday for a Sunday, otherwise the same date
+ */
+export function getObservedDate(date) {
+  const weekday = getDay(date);
+  if (weekday === 6) return addDays(date, -1);
+  if (weekday === 0) return addDays(date, 1);
+  return date;
+}
+
+/**
+ * Validate a holiday rule, throwing on the first problem found
+ * @param {object} rule - Holiday rule
+ * @param {number} index - Position of the rule in the rules array, for error details
+ * @throws {InvalidArgumentError} If the rule is malformed
+ * @throws {InvalidConfigError} If fromYear or untilYear is not a whole number, or fromYear is after untilYear
+ */
+function assertValidRule(rule, index) {
+  const details = { field: `rules[${index}]`, value: rule };
+  if (!rule || typeof rule !== "object") {
+    throw new InvalidArgumentError("holiday rule must be an object", details);
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    throw new InvalidArgumentError(`holiday rule type must be one of: ${RULE_TYPES.join(", ")}`, details);
+  }
+  for (const key of ["fromYear", "untilYear"]) {
+    if (rule[key] !== undefined && !Number.isInteger(rule[key])) {
+      throw new InvalidConfigError(`holiday rule ${key} must be a whole number`, { field: `rules[${index}].${key}`, value: rule[key] });
+    }
+  }
+  if (rule.fromYear !== undefined && rule.untilYear !== undefined && rule.fromYear > rule.untilYear) {
+    throw new InvalidConfigError("holiday rule untilYear must not be before fromYear", { field: `rules[${index}].untilYear`, value: rule.untilYear });
+  }
+  if (rule.type === "one-off") {
+    if (dayNumberFromKey(rule.date) === null) {
+      throw new InvalidArgumentError("one-off holiday rule requires a valid YYYY-MM-DD date", details);
+    }
+    return;
+  }
+  if (!Number.isInteger(rule.month) || rule.month < 1 || rule.month > 12) {
+    throw new InvalidArgumentError("holiday rule month must be an integer from 1 to 12", details);
+  }
+  // Checked against a leap year, so February 29th is allowed (and skipped in other years)
+  const daysInMonth = getDaysInMonth(new Date(2024, rule.month - 1, 1));
+  if (rule.type === "fixed" && (!Number.isInteger(rule.day) || rule.day < 1 || rule.day > daysInMonth)) {
+    throw new InvalidArgumentError(`fixed holiday rule day must be an integer from 1 to ${daysInMonth} for month ${rule.month}`, details);
+  }
+  if (rule.type !== "fixed" && (!Number.isInteger(rule.weekday) || rule.weekday < 0 || rule.weekday > 6)) {
+    throw new InvalidArgumentError("holiday rule weekday must be an integer from 0 (Sunday) to 6 (Saturday)", details);
+  }
+  if (rule.type === "nth-weekday" && (!Number.isInteger(rule.nth) || rule.nth < 1 || rule.nth > 5)) {
+    throw new InvalidArgumentError("nth-weekday holiday rule nth must be an integer from 1 to 5", details);
+  }
+}
+
+/**
+ * Generate the holiday list for a range of years from a set of rules
+ *
+ * Supported rule types:
+ * - `{ type: "fixed", month, day, observed }` - same date every year; with `observed: true`
+ *   a Saturday holiday moves to Friday and a Sunday holiday moves to Monday. A February 29th
+ *   rule only applies in leap years
+ * - `{ type: "nth-weekday", month, weekday, nth }` - e.g. 4th Thursday of November
+ * - `{ type: "last-weekday", month, weekday }` - e.g. last Monday of May
+ * - `{ type: "one-off", date }` - a single closure day ("YYYY-MM-DD")
+ *
+ * Recurring rules may set `fromYear` / `untilYear`, whole years with fromYear <= untilYear,
+ * to limit the years they apply to.
+ * Observed dates are filtered by their own year, so a Saturday New Year's Day shows up
+ * as December 31st of the previous year.
+ * @param {Array<object>} rules - Holiday rules (see CFS_HOLIDAY_RULES)
+ * @param {number} startYear - First year to generate (inclusive)
+ * @param {number} [endYear] - Last year to generate (inclusive), defaults to startYear
+ * @returns {Array<string>} Sorted, de-duplicated "YYYY-MM-DD" strings
+ * @throws {InvalidArgumentError} If rules is not an array, a rule is malformed, or the year range is invalid
+ * @throws {InvalidConfigError} If a rule's fromYear / untilYear is not a whole number or fromYear is after untilYear
+ */
+export function generateHolidays(rules, startYear, endYear = startYear) {
+  if (!Array.isArray(rules)) {
+    throw new InvalidArgumentError("rules must be an array", { field: "rules", value: rules });
+  }
+  if (!Number.isInteger(startYear) || !Number.isInteger(endYear) || endYear < startYear) {
+    throw new InvalidArgumentError("startYear and endYear must be whole numbers with startYear <= endYear", {
+      field: Number.isInteger(startYear) ? "endYear" : "startYear",
+      value: Number.isInteger(startYear) ? endYear : startYear,
+    });
+  }
+  rules.forEach(assertValidRule);
+
+  const holidays = new Set();
+
+  // Look one year either side so observed shifts across New Year's are included
+  for (let year = startYear - 1; year <= endYear + 1; year++) {
+    for (const rule of rules) {
+      let date = resolveRule(rule, year);
+      if (!date) continue;
+      if (rule.observed) {
+        date = getObservedDate(date);
+      }
+      if (date.getFullYear() >= startYear && date.getFullYear() <= endYear) {
+        holidays.add(format(date, "yyyy-MM-dd"));
+      }
+    }
+  }
+
+  return [...holidays].sort();
+}
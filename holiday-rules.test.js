@@ -0,0 +1,136 @@
+import { describe, it, expect } from "vitest";
+import { TZDate } from "@date-fns/tz";
+import { CFS_HOLIDAY_RULES, generateHolidays, getObservedDate } from "./holiday-rules.js";
+import { InvalidArgumentError } from "./errors.js";
+import { countCfsBusinessDays, isHoliday } from "./index.js";
+
+describe("generateHolidays", () => {
+  it("generates the CFS holidays for a single year", () => {
+    expect(generateHolidays(CFS_HOLIDAY_RULES, 2024)).toEqual([
+      "2024-01-01",
+      "2024-05-27", // Memorial Day - last Monday of May
+      "2024-07-04",
+      "2024-09-02", // Labor Day - 1st Monday of September
+      "2024-11-28", // Thanksgiving - 4th Thursday of November
+      "2024-12-25",
+    ]);
+  });
+
+  it("generates a sorted list across a range of years", () => {
+    const result = generateHolidays(CFS_HOLIDAY_RULES, 2024, 2026);
+    expect(result).toHaveLength(18);
+    expect(result).toEqual([...result].sort());
+    expect(result).toContain("2025-11-27");
+    expect(result).toContain("2026-05-25");
+  });
+
+  it("moves Sunday holidays to the following Monday", () => {
+    // Christmas 2022 and July 4th 2021 were both Sundays
+    expect(generateHolidays(CFS_HOLIDAY_RULES, 2022)).toContain("2022-12-26");
+    expect(generateHolidays(CFS_HOLIDAY_RULES, 2021)).toContain("2021-07-05");
+  });
+
+  it("moves Saturday holidays to the previous Friday, across year boundaries", () => {
+    // New Year's Day 2022 was a Saturday, observed Friday Dec 31, 2021
+    expect(generateHolidays(CFS_HOLIDAY_RULES, 2021)).toContain("2021-12-31");
+    expect(generateHolidays(CFS_HOLIDAY_RULES, 2022)).not.toContain("2022-01-01");
+    expect(generateHolidays(CFS_HOLIDAY_RULES, 2022)).not.toContain("2021-12-31");
+  });
+
+  it("does not shift holidays without observed: true", () => {
+    const rules = [{ name: "Christmas Day", type: "fixed", month: 12, day: 25 }];
+    expect(generateHolidays(rules, 2022)).toEqual(["2022-12-25"]);
+  });
+
+  it("handles 5th-weekday rules that don't occur in every year", () => {
+    const rules = [{ name: "5th Friday", type: "nth-weekday", month: 5, weekday: 5, nth: 5 }];
+    expect(generateHolidays(rules, 2024)).toEqual(["2024-05-31"]);
+    expect(generateHolidays(rules, 2027)).toEqual([]);
+  });
+
+  it("includes one-off closures only in their own year", () => {
+    const rules = [{ name: "Inventory day", type: "one-off", date: "2025-03-14" }];
+    expect(generateHolidays(rules, 2024)).toEqual([]);
+    expect(generateHolidays(rules, 2025)).toEqual(["2025-03-14"]);
+  });
+
+  it("respects fromYear and untilYear on recurring rules", () => {
+    const rules = [{ name: "Juneteenth", type: "fixed", month: 6, day: 19, fromYear: 2025 }];
+    expect(generateHolidays(rules, 2024, 2025)).toEqual(["2025-06-19"]);
+  });
+
+  it("de-duplicates rules that resolve to the same day", () => {
+    const rules = [
+      { name: "Christmas Day", type: "fixed", month: 12, day: 25 },
+      { name: "Closure", type: "one-off", date: "2024-12-25" },
+    ];
+    expect(generateHolidays(rules, 2024)).toEqual(["2024-12-25"]);
+  });
+
+  it("produces output that drops into the existing holidays parameter", () => {
+    const holidays = generateHolidays(CFS_HOLIDAY_RULES, 2024);
+    expect(isHoliday(new TZDate(2024, 10, 28, "America/Chicago"), holidays)).toBe(true);
+    const start = new TZDate(2024, 10, 25, 9, 0, 0, "America/Chicago");
+    const end = new TZDate(2024, 10, 29, 17, 0, 0, "America/Chicago");
+    expect(countCfsBusinessDays(start, end, holidays).days).toBe(4);
+  });
+
+  it("throws error when rules is not an array", () => {
+    expect(() => generateHolidays(null, 2024)).toThrow("rules must be an array");
+  });
+
+  it("throws error for an invalid year range", () => {
+    expect(() => generateHolidays(CFS_HOLIDAY_RULES, 2025, 2024)).toThrow("startYear and endYear must be whole numbers");
+    expect(() => generateHolidays(CFS_HOLIDAY_RULES, 2024.5)).toThrow("startYear and endYear must be whole numbers");
+  });
+
+  it("throws error for malformed rules", () => {
+    expect(() => generateHolidays([{ type: "easter" }], 2024)).toThrow("holiday rule type must be one of");
+    expect(() => generateHolidays([{ type: "fixed", month: 13, day: 1 }], 2024)).toThrow("month must be an integer from 1 to 12");
+    expect(() => generateHolidays([{ type: "nth-weekday", month: 11, weekday: 4, nth: 6 }], 2024)).toThrow("nth must be an integer from 1 to 5");
+    expect(() => generateHolidays([{ type: "one-off", date: "03/14/2025" }], 2024)).toThrow("requires a valid YYYY-MM-DD date");
+  });
+
+  it("throws error for days that don't exist in the month", () => {
+    expect(() => generateHolidays([{ type: "fixed", month: 2, day: 30 }], 2025)).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", message: "fixed holiday rule day must be an integer from 1 to 29 for month 2" })
+    );
+    expect(() => generateHolidays([{ type: "fixed", month: 4, day: 31 }], 2025)).toThrow(InvalidArgumentError);
+    expect(() => generateHolidays([{ type: "one-off", date: "2025-02-30" }], 2025)).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", field: "rules[0]" })
+    );
+  });
+
+  it("throws InvalidConfigError for fromYear and untilYear that aren't whole years in order", () => {
+    const rule = { type: "fixed", month: 6, day: 19 };
+    expect(() => generateHolidays([{ ...rule, fromYear: "2025" }], 2025)).toThrow(
+      expect.objectContaining({ name: "InvalidConfigError", field: "rules[0].fromYear", value: "2025" })
+    );
+    expect(() => generateHolidays([{ ...rule, untilYear: NaN }], 2025)).toThrow(
+      expect.objectContaining({ name: "InvalidConfigError", field: "rules[0].untilYear" })
+    );
+    expect(() => generateHolidays([{ ...rule, fromYear: 2026, untilYear: 2025 }], 2025)).toThrow(
+      expect.objectContaining({ name: "InvalidConfigError", field: "rules[0].untilYear", value: 2025 })
+    );
+  });
+
+  it("applies a year of 0 as a bound instead of ignoring it", () => {
+    expect(generateHolidays([{ type: "fixed", month: 6, day: 19, untilYear: 0 }], 2024)).toEqual([]);
+  });
+
+  it("only applies a February 29th rule in leap years", () => {
+    expect(generateHolidays([{ type: "fixed", month: 2, day: 29 }], 2023, 2024)).toEqual(["2024-02-29"]);
+  });
+});
+
+describe("getObservedDate", () => {
+  it("leaves weekdays unchanged", () => {
+    const wednesday = new TZDate(2024, 11, 25, "America/Chicago");
+    expect(getObservedDate(wednesday).getDate()).toBe(25);
+  });
+
+  it("shifts Saturday to Friday and Sunday to Monday", () => {
+    expect(getObservedDate(new TZDate(2026, 6, 4, "America/Chicago")).getDate()).toBe(3);
+    expect(getObservedDate(new TZDate(2027, 6, 4, "America/Chicago")).getDate()).toBe(5);
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * @cfs/date-helpers - compiled holidays
+ *
+ * A precompiled form of the `holidays` array. Holidays are reduced to sets of
+ * calendar day numbers (days since 1970-01-01) in the calendar's time zone, and
+ * chargeable days are stored as prefix counts so a range can be counted with
+ * arithmetic instead of testing every day.
+ *
+ * A holiday is a date string, or a `{ date, name, type, chargeable }` object. The type
+ * says what closes: "closed" (the whole business), "no-delivery" (deliveries and
+ * collections only; the counter is open) or "no-charge" (nothing; the day is just not
+ * charged). Whether the day is charged follows the type unless `chargeable` says otherwise.
+ * Opening hours follow the counter; delivery slots, default starts and collection dates
+ * also skip days without deliveries.
+ */
+
+import { TZDate } from "@date-fns/tz";
+
+import { InvalidArgumentError } from "./errors.js";
+import { toDateInput } from "./inputs.js";
+
+const MS_PER_DAY = 86400000;
+const COMPILED = Symbol("compiledHolidays");
+
+// Day 0 (1970-01-01) was a Thursday
+const EPOCH_WEEKDAY = 4;
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Holiday types: whether a holiday of each type closes the counter, stops deliveries and
+ * collections, and is charged unless its entry says otherwise
+ */
+export const HOLIDAY_TYPES = Object.freeze({
+  "closed": Object.freeze({ closesCounter: true, stopsDeliveries: true, chargeable: false }),
+  "no-delivery": Object.freeze({ closesCounter: false, stopsDeliveries: true, chargeable: true }),
+  "no-charge": Object.freeze({ closesCounter: false, stopsDeliveries: false, chargeable: false }),
+});
+
+/**
+ * Convert a date to its calendar day number (days since 1970-01-01) in a time zone
+ * @param {object} date - date-fns date object
+ * @param {string} [timeZone] - IANA time zone, defaults to America/Chicago
+ * @returns {number} Whole day number
+ */
+export function toDayNumber(date, timeZone = "America/Chicago") {
+  const local = new TZDate(+date, timeZone);
+  return Math.round(Date.UTC(local.getFullYear(), local.getMonth(), local.getDate()) / MS_PER_DAY);
+}
+
+/**
+ * Convert a "YYYY-MM-DD" calendar date to its day number
+ * @param {string} key - Calendar date, e.g. "2024-12-25"
+ * @returns {number|null} Whole day number, or null if key is not a valid "YYYY-MM-DD" date
+ */
+export function dayNumberFromKey(key) {
+  const match = typeof key === "string" ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(key) : null;
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const utc = new Date(Date.UTC(year, month - 1, day));
+  if (utc.getUTCMonth() !== month - 1 || utc.getUTCDate() !== day) {
+    return null;
+  }
+  return Math.round(utc.getTime() / MS_PER_DAY);
+}
+
+/**
+ * Convert a day number to its "YYYY-MM-DD" calendar date
+ * @param {number} dayNumber - Day number from toDayNumber
+ * @returns {string} Calendar date, e.g. "2024-12-25"
+ */
+export function dayNumberToKey(dayNumber) {
+  return new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the weekday (0 = Sunday … 6 = Saturday) of a day number
+ * @param {number} dayNumber - Day number from toDayNumber
+ * @returns {number} Weekday
+ */
+export function weekdayOfDayNumber(dayNumber) {
+  return (((dayNumber + EPOCH_WEEKDAY) % 7) + 7) % 7;
+}
+
+/**
+ * Count working weekdays in [0, dayNumber) relative to day 0, in constant time
+ * @param {number} dayNumber - Exclusive upper bound
+ * @param {Array<number>} cumulative - Working days in the first n days of a week starting on day 0
+ * @returns {number} Working day count (negative for negative day numbers)
+ */
+function workingDaysBefore(dayNumber, cumulative) {
+  const weeks = Math.floor(dayNumber / 7);
+  return weeks * cumulative[7] + cumulative[dayNumber - weeks * 7];
+}
+
+/**
+ * Build the cumulative working-day table for a week starting on day 0
+ * @param {Array<number>} workingDays - Weekdays that are working days
+ * @returns {Array<number>} Table of length 8
+ */
+function buildCumulative(workingDays) {
+  const cumulative = [0];
+  for (let i = 0; i < 7; i++) {
+    cumulative.push(cumulative[i] + (workingDays.includes(weekdayOfDayNumber(i)) ? 1 : 0));
+  }
+  return cumulative;
+}
+
+/**
+ * Parse one holidays entry to its day number and full holiday
+ * Entries whose date cannot be parsed are ignored, and give null.
+ * @param {string|object} holiday - Date string, or `{ date, name, type, chargeable }`
+ * @param {number} index - Position in the holidays array, for error details
+ * @param {string} timeZone - Calendar time zone
+ * @returns {{ day: number, holiday: { date: string, name: string|null, type: string, chargeable: boolean } }|null}
+ *   The day number and the entry with defaults filled in, `date` as "YYYY-MM-DD"
+ * @throws {InvalidArgumentError} If the entry is not a string or a valid holiday object
+ */
+export function parseHolidayEntry(holiday, index, timeZone) {
+  const field = `holidays[${index}]`;
+  if (typeof holiday === "string") {
+    const date = toDateInput(holiday, timeZone);
+    if (!date) {
+      return null;
+    }
+    const day = toDayNumber(date, timeZone);
+    return { day, holiday: Object.freeze({ date: dayNumberToKey(day), name: null, type: "closed", chargeable: false }) };
+  }
+  if (!holiday || typeof holiday !== "object" || holiday instanceof Date) {
+    throw new InvalidArgumentError("holidays must be an array of ISO date strings or { date } objects", { field, value: holiday });
+  }
+
+  const { name = null, type = "closed" } = holiday;
+  if (!Object.hasOwn(HOLIDAY_TYPES, type)) {
+    throw new InvalidArgumentError(`${field}.type must be one of: ${Object.keys(HOLIDAY_TYPES).join(", ")}`, { field: `${field}.type`, value: type });
+  }
+  if (name !== null && typeof name !== "string") {
+    throw new InvalidArgumentError(`${field}.name must be a string`, { field: `${field}.name`, value: name });
+  }
+  const chargeable = holiday.chargeable === undefined ? HOLIDAY_TYPES[type].chargeable : holiday.chargeable;
+  if (typeof chargeable !== "boolean") {
+    throw new InvalidArgumentError(`${field}.chargeable must be a boolean`, { field: `${field}.chargeable`, value: chargeable });
+  }
+
+  const date = toDateInput(holiday.date, timeZone);
+  if (!date) {
+    return null;
+  }
+  const day = toDayNumber(date, timeZone);
+  return { day, holiday: Object.freeze({ ...holiday, date: dayNumberToKey(day), name, type, chargeable }) };
+}
+
+/**
+ * Test if a value is a compiled holiday index from compileHolidays
+ * @param {*} value - Value to test
+ * @returns {boolean} True if value was produced by compileHolidays
+ */
+export function isCompiledHolidays(value) {
+  return Boolean(value && value[COMPILED] === true);
+}
+
+/**
+ * Precompile a holiday list for repeated lookups
+ * The result can be passed anywhere a `holidays` array is accepted. A compiled index
+ * passed to a calendar with a different time zone or working days is recompiled for it.
+ * Holidays that cannot be parsed are ignored, as they are by isHoliday. When two entries
+ * fall on the same day, the first one wins.
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - IANA time zone holidays are matched in, defaults to America/Chicago
+ * @param {Array<number>} [options.workingDays] - Working weekdays (0 = Sunday … 6 = Saturday), defaults to Monday–Friday
+ * @returns {object} Compiled holiday index
+ * @throws {InvalidArgumentError} If holidays is not an array of strings and holiday objects
+ */
+export function compileHolidays(holidays, options = {}) {
+  const timeZone = options.timeZone || "America/Chicago";
+  const workingDays = [...new Set(options.workingDays || WEEKDAYS)].sort((a, b) => a - b);
+
+  if (isCompiledHolidays(holidays)) {
+    if (holidays.timeZone === timeZone && holidays.workingDays.join() === workingDays.join()) {
+      return holidays;
+    }
+    holidays = holidays.source;
+  }
+  if (!Array.isArray(holidays)) {
+    throw new InvalidArgumentError("holidays must be an array", { field: "holidays", value: holidays });
+  }
+
+  // Day number → the first holidays entry on that day, as given and with defaults filled in
+  const entries = new Map();
+  const details = new Map();
+  for (const [index, holiday] of holidays.entries()) {
+    const parsed = parseHolidayEntry(holiday, index, timeZone);
+    if (parsed && !entries.has(parsed.day)) {
+      entries.set(parsed.day, holiday);
+      details.set(parsed.day, parsed.holiday);
+    }
+  }
+  const days = new Set(entries.keys());
+  const closedDays = new Set([...details].filter(([, holiday]) => HOLIDAY_TYPES[holiday.type].closesCounter).map(([day]) => day));
+  const noDeliveryDays = new Set([...details].filter(([, holiday]) => HOLIDAY_TYPES[holiday.type].stopsDeliveries).map(([day]) => day));
+  const unchargedDays = new Set([...details].filter(([, holiday]) => !holiday.chargeable).map(([day]) => day));
+
+  const sorted = [...days].sort((a, b) => a - b);
+  const firstDay = sorted.length ? sorted[0] : 0;
+  const span = sorted.length ? sorted[sorted.length - 1] - firstDay + 1 : 0;
+  const cumulative = buildCumulative(workingDays);
+
+  // chargeableDayPrefix[i] = chargeable days in [firstDay, firstDay + i)
+  const chargeableDayPrefix = new Int32Array(span + 1);
+  for (let i = 0; i < span; i++) {
+    const day = firstDay + i;
+    const isChargeable = workingDays.includes(weekdayOfDayNumber(day)) && !unchargedDays.has(day);
+    chargeableDayPrefix[i + 1] = chargeableDayPrefix[i] + (isChargeable ? 1 : 0);
+  }
+
+  return Object.freeze({
+    [COMPILED]: true,
+    source: Object.freeze([...holidays]),
+    timeZone,
+    workingDays: Object.freeze([...workingDays]),
+    days,
+    closedDays,
+    noDeliveryDays,
+    unchargedDays,
+    entries,
+    details,
+    firstDay,
+    span,
+    cumulative,
+    chargeableDayPrefix,
+  });
+}
+
+/**
+ * Test if a calendar day number is a holiday in a compiled index
+ * @param {object} compiled - Compiled holiday index
+ * @param {number} dayNumber - Day number from toDayNumber
+ * @returns {boolean} True if the day is a holiday
+ */
+export function isHolidayDayNumber(compiled, dayNumber) {
+  return compiled.days.has(dayNumber);
+}
+
+/**
+ * Get the holidays entry for a calendar day number
+ * @param {object} compiled - Compiled holiday index
+ * @param {number} dayNumber - Day number from toDayNumber
+ * @returns {string|null} The entry from the holidays list, or null if the day is not a holiday
+ */
+export function getHolidayEntry(compiled, dayNumber) {
+  return compiled.entries.has(dayNumber) ? compiled.entries.get(dayNumber) : null;
+}
+
+/**
+ * Get the holiday on a calendar day number, with its defaults filled in
+ * @param {object} compiled - Compiled holiday index
+ * @param {number} dayNumber - Day number from toDayNumber
+ * @returns {{ date: string, name: string|null, type: string, chargeable: boolean }|null} The holiday, or null
+ */
+export function getHolidayDetails(compiled, dayNumber) {
+  return compiled.details.has(dayNumber) ? compiled.details.get(dayNumber) : null;
+}
+
+/**
+ * Test if a calendar day number is a business day (a working day that no holiday closes the counter on)
+ * "no-delivery" and "no-charge" holidays leave the counter open, so they are business days.
+ * @param {object} compiled - Compiled holiday index
+ * @param {number} dayNumber - Day number from toDayNumber
+ * @returns {boolean} True if the day is a business day
+ */
+export function isBusinessDayNumber(compiled, dayNumber) {
+  return compiled.workingDays.includes(weekdayOfDayNumber(dayNumber)) && !compiled.closedDays.has(dayNumber);
+}
+
+/**
+ * Test if a calendar day number is a delivery day (a business day that no holiday stops deliveries on)
+ * @param {object} compiled - Compiled holiday index
+ * @param {number} dayNumber - Day number from toDayNumber
+ * @returns {boolean} True if deliveries and collections can be scheduled that day
+ */
+export function isDeliveryDayNumber(compiled, dayNumber) {
+  return isBusinessDayNumber(compiled, dayNumber) && !compiled.noDeliveryDays.has(dayNumber);
+}
+
+/**
+ * Test if a calendar day number is charged (a working day that isn't an uncharged holiday)
+ * @param {object} compiled - Compiled holiday index
+ * @param {number} dayNumber - Day number from toDayNumber
+ * @returns {boolean} True if the day is chargeable
+ */
+export function isChargeableDayNumber(compiled, dayNumber) {
+  return compiled.workingDays.includes(weekdayOfDayNumber(dayNumber)) && !compiled.unchargedDays.has(dayNumber);
+}
+
+/**
+ * Count chargeable days in [0, dayNumber) relative to day 0
+ * @param {object} compiled - Compiled holiday index
+ * @param {number} dayNumber - Exclusive upper bound
+ * @returns {number} Chargeable day count
+ */
+function chargeableDaysBefore(compiled, dayNumber) {
+  const { firstDay, span, cumulative, chargeableDayPrefix } = compiled;
+  if (dayNumber <= firstDay) {
+    return workingDaysBefore(dayNumber, cumulative);
+  }
+  const base = workingDaysBefore(firstDay, cumulative);
+  if (dayNumber <= firstDay + span) {
+    return base + chargeableDayPrefix[dayNumber - firstDay];
+  }
+  const holidaysInSpan = workingDaysBefore(firstDay + span, cumulative) - base - chargeableDayPrefix[span];
+  return workingDaysBefore(dayNumber, cumulative) - holidaysInSpan;
+}
+
+/**
+ * Count CFS business days (working weekdays that aren't uncharged holidays) between two day numbers, inclusive
+ * These are the chargeable days countCfsBusinessDays reports, so a "no-delivery" holiday is counted.
+ * @param {object} compiled - Compiled holiday index
+ * @param {number} startDay - First day number
+ * @param {number} endDay - Last day number
+ * @returns {number} Chargeable day count
+ */
+export function countBusinessDayNumbers(compiled, startDay, endDay) {
+  return chargeableDaysBefore(compiled, endDay + 1) - chargeableDaysBefore(compiled, startDay);
+}
@@ -0,0 +1,240 @@
+import { describe, it, expect } from "vitest";
+import { addDays, isWeekend } from "date-fns";
+import { TZDate } from "@date-fns/tz";
+import { compileHolidays, countBusinessDayNumbers, isCompiledHolidays, toDayNumber, weekdayOfDayNumber } from "./holidays.js";
+import { CFS_HOLIDAY_RULES, generateHolidays } from "./holiday-rules.js";
+import {
+  addBusinessHours,
+  countCfsBusinessDays,
+  getCollectionDateRange,
+  getDefaultStartDate,
+  getDefaultStartDateAt,
+  getDeliverySlots,
+  getDuration,
+  getEndDateByChargePeriod,
+  getHoliday,
+  holidaysToICS,
+  isBusinessDay,
+  isHoliday,
+  nextBusinessDay,
+  nextOpenTime,
+  validateOrderDates,
+} from "./index.js";
+
+const holidays = generateHolidays(CFS_HOLIDAY_RULES, 2023, 2026);
+
+// Day-by-day reference count, as countCfsBusinessDays worked before compiled holidays
+function countByLoop(start, end, holidayList) {
+  const compiled = compileHolidays(holidayList);
+  let days = 0;
+  for (let day = start; toDayNumber(day) <= toDayNumber(end); day = addDays(day, 1)) {
+    if (!isWeekend(day) && !isHoliday(day, compiled)) {
+      days++;
+    }
+  }
+  return days;
+}
+
+describe("compileHolidays", () => {
+  it("returns a compiled index", () => {
+    const compiled = compileHolidays(["2024-12-25", "2024-07-04"]);
+    expect(isCompiledHolidays(compiled)).toBe(true);
+    expect(compiled.days.size).toBe(2);
+  });
+
+  it("returns an already compiled index unchanged", () => {
+    const compiled = compileHolidays(holidays);
+    expect(compileHolidays(compiled)).toBe(compiled);
+  });
+
+  it("collapses holidays given with different offsets to one Chicago day", () => {
+    const compiled = compileHolidays(["2025-01-01", "2025-01-01T00:00:00-06:00", "2025-01-01T06:00:00Z"]);
+    expect(compiled.days.size).toBe(1);
+  });
+
+  it("ignores holidays that cannot be parsed", () => {
+    const compiled = compileHolidays(["not a date", "2024-12-25"]);
+    expect(compiled.days.size).toBe(1);
+  });
+
+  it("handles an empty holiday list", () => {
+    const compiled = compileHolidays([]);
+    const start = new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago");
+    const end = new TZDate(2024, 5, 28, 17, 0, 0, "America/Chicago");
+    expect(countCfsBusinessDays(start, end, compiled).days).toBe(10);
+  });
+
+  it("throws error when holidays is not an array", () => {
+    expect(() => compileHolidays(null)).toThrow("holidays must be an array");
+    expect(() => compileHolidays("2024-12-25")).toThrow("holidays must be an array");
+  });
+});
+
+describe("isCompiledHolidays", () => {
+  it("returns false for raw holiday arrays and other values", () => {
+    expect(isCompiledHolidays(holidays)).toBe(false);
+    expect(isCompiledHolidays(null)).toBe(false);
+    expect(isCompiledHolidays({ days: new Set() })).toBe(false);
+  });
+});
+
+describe("countBusinessDayNumbers", () => {
+  it("matches a day-by-day count for ranges before, inside and after the holiday span", () => {
+    const compiled = compileHolidays(holidays);
+    const first = new TZDate(2022, 10, 1, 9, 0, 0, "America/Chicago");
+    for (let offset = 0; offset < 1700; offset += 97) {
+      const start = addDays(first, offset);
+      for (const length of [0, 1, 4, 6, 13, 45, 200]) {
+        const end = addDays(start, length);
+        const expected = countByLoop(start, end, holidays);
+        expect(countBusinessDayNumbers(compiled, toDayNumber(start), toDayNumber(end))).toBe(expected);
+      }
+    }
+  });
+
+  it("counts weekdays for day numbers before 1970", () => {
+    const compiled = compileHolidays([]);
+    // Mon Jan 6 1969 → Fri Jan 17 1969
+    const start = toDayNumber(new TZDate(1969, 0, 6, "America/Chicago"));
+    expect(weekdayOfDayNumber(start)).toBe(1);
+    expect(countBusinessDayNumbers(compiled, start, start + 11)).toBe(10);
+  });
+});
+
+describe("compiled holidays in existing helpers", () => {
+  const compiled = compileHolidays(holidays);
+
+  it("isHoliday gives the same answer as with the raw array", () => {
+    let day = new TZDate(2024, 0, 1, 12, 0, 0, "America/Chicago");
+    for (let i = 0; i < 366; i++) {
+      expect(isHoliday(day, compiled)).toBe(isHoliday(day, holidays));
+      day = addDays(day, 1);
+    }
+  });
+
+  it("countCfsBusinessDays gives the same result as with the raw array", () => {
+    const start = new TZDate(2024, 10, 20, 9, 0, 0, "America/Chicago");
+    const end = new TZDate(2025, 0, 10, 17, 0, 0, "America/Chicago");
+    expect(countCfsBusinessDays(start, end, compiled)).toEqual(countCfsBusinessDays(start, end, holidays));
+  });
+
+  it("getEndDateByChargePeriod gives the same result as with the raw array", () => {
+    const start = new TZDate(2024, 10, 25, 9, 0, 0, "America/Chicago");
+    expect(getEndDateByChargePeriod(start, 10, compiled)).toEqual(getEndDateByChargePeriod(start, 10, holidays));
+  });
+
+  it("getDefaultStartDate accepts compiled holidays", () => {
+    const result = getDefaultStartDate(compiled);
+    expect(result.getHours()).toBe(9);
+  });
+
+  it("getDuration gives the same result as with the raw array", () => {
+    const dates = { delivery_start: "2024-12-20T15:00:00.000Z", collection_start: "2025-01-06T22:00:00.000Z" };
+    expect(getDuration(dates, compiled)).toEqual(getDuration(dates, holidays));
+  });
+
+  it("counts a multi-year range", () => {
+    const start = new TZDate(2023, 0, 1, 9, 0, 0, "America/Chicago");
+    const end = new TZDate(2026, 11, 31, 17, 0, 0, "America/Chicago");
+    const result = countCfsBusinessDays(start, end, compiled);
+    expect(result.calendarDays).toBe(1461);
+    expect(result.days).toBe(countByLoop(start, end, holidays));
+  });
+});
+
+describe("named holidays", () => {
+  // Week of Monday 2024-06-17: a stocktake stops deliveries Tuesday, Wednesday is closed, Thursday is free
+  const week = [
+    { date: "2024-06-18", name: "Stocktake", type: "no-delivery" },
+    { date: "2024-06-19", name: "Juneteenth" },
+    { date: "2024-06-20", name: "Customer day", type: "no-charge" },
+  ];
+
+  it("getHoliday returns the entry with defaults filled in", () => {
+    expect(getHoliday(new TZDate(2024, 5, 19, 9, 0, 0, "America/Chicago"), week)).toEqual({ date: "2024-06-19", name: "Juneteenth", type: "closed", chargeable: false });
+    expect(getHoliday("2024-06-18", week)).toEqual({ date: "2024-06-18", name: "Stocktake", type: "no-delivery", chargeable: true });
+    expect(getHoliday(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), week)).toBeNull();
+    expect(getHoliday("2024-12-25T10:00:00-06:00", ["2024-12-25"])).toEqual({ date: "2024-12-25", name: null, type: "closed", chargeable: false });
+    expect(getHoliday(new TZDate(2024, 5, 19, 9, 0, 0, "America/Chicago"), [{ date: new TZDate(2024, 5, 19, 0, 0, 0, "America/Chicago"), name: "Juneteenth", region: "US" }])).toMatchObject({ region: "US" });
+  });
+
+  it("isHoliday is true for every type, compiled or not", () => {
+    for (const day of [18, 19, 20]) {
+      expect(isHoliday(new TZDate(2024, 5, day, 9, 0, 0, "America/Chicago"), week)).toBe(true);
+      expect(isHoliday(new TZDate(2024, 5, day, 9, 0, 0, "America/Chicago"), compileHolidays(week))).toBe(true);
+    }
+    expect(isHoliday(new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago"), week)).toBe(false);
+  });
+
+  it("closes the counter on closed days only", () => {
+    expect(isBusinessDay(new TZDate(2024, 5, 18, 9, 0, 0, "America/Chicago"), week)).toBe(true);
+    expect(isBusinessDay(new TZDate(2024, 5, 19, 9, 0, 0, "America/Chicago"), week)).toBe(false);
+    expect(isBusinessDay(new TZDate(2024, 5, 20, 9, 0, 0, "America/Chicago"), week)).toBe(true);
+    expect(+nextBusinessDay(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), week)).toBe(+new TZDate(2024, 5, 18, 9, 0, 0, "America/Chicago"));
+    expect(+nextBusinessDay(new TZDate(2024, 5, 18, 9, 0, 0, "America/Chicago"), week)).toBe(+new TZDate(2024, 5, 20, 9, 0, 0, "America/Chicago"));
+  });
+
+  it("opens the counter on no-delivery days", () => {
+    expect(+nextOpenTime(new TZDate(2024, 5, 18, 6, 0, 0, "America/Chicago"), week)).toBe(+new TZDate(2024, 5, 18, 8, 0, 0, "America/Chicago"));
+    expect(+addBusinessHours(new TZDate(2024, 5, 17, 15, 0, 0, "America/Chicago"), 2, week)).toBe(+new TZDate(2024, 5, 18, 9, 0, 0, "America/Chicago"));
+  });
+
+  it("stops deliveries and collections on closed and no-delivery days", () => {
+    const now = new TZDate(2024, 5, 17, 6, 0, 0, "America/Chicago");
+    expect(getDeliverySlots("2024-06-18", week, { now })).toEqual([]);
+    expect(getDeliverySlots("2024-06-19", week, { now })).toEqual([]);
+    expect(getDeliverySlots("2024-06-20", week, { now })).toHaveLength(8);
+    // Monday after the cutoff: Tuesday has no deliveries and Wednesday is closed
+    expect(+getDefaultStartDateAt(new TZDate(2024, 5, 17, 10, 0, 0, "America/Chicago"), week)).toBe(+new TZDate(2024, 5, 20, 9, 0, 0, "America/Chicago"));
+    // The 5th charge day from Wednesday the 12th is the no-delivery Tuesday; Thursday the 20th is free
+    const range = getCollectionDateRange(new TZDate(2024, 5, 12, 9, 0, 0, "America/Chicago"), 5, week);
+    expect(range.earliest.getDate()).toBe(20);
+    expect(range.latest.getDate()).toBe(20);
+  });
+
+  it("charges by the chargeable flag, not by closure", () => {
+    // Monday, the no-delivery Tuesday and Friday
+    expect(countCfsBusinessDays(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago"), week).days).toBe(3);
+    expect(+getEndDateByChargePeriod(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), 3, week)).toBe(+new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago"));
+    expect(countCfsBusinessDays(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago"), [{ date: "2024-06-19", chargeable: true }]).days).toBe(5);
+    expect(countCfsBusinessDays(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago"), [{ date: "2024-06-18", type: "no-delivery", chargeable: false }]).days).toBe(4);
+  });
+
+  it("getDuration's ledger charges chargeable holidays and keeps the entry", () => {
+    const duration = getDuration({ delivery_start: new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago").toISOString(), collection_start: new TZDate(2024, 5, 21, 14, 0, 0, "America/Chicago").toISOString() }, week, { explain: true });
+    expect(duration.chargeDays).toBe(3);
+    const entry = (key) => duration.ledger.find((day) => day.date === key);
+    expect(entry("2024-06-18")).toMatchObject({ chargeable: true, reason: null, holiday: week[0] });
+    expect(entry("2024-06-20")).toMatchObject({ chargeable: false, reason: "holiday", holiday: week[2] });
+    expect(duration.excluded.holidayDays).toBe(2);
+  });
+
+  it("warns about deliveries on holidays that close deliveries, by name", () => {
+    const order = (day) => ({ delivery_start: new TZDate(2024, 5, day, 9, 0, 0, "America/Chicago").toISOString(), collection_start: new TZDate(2024, 5, 24, 14, 0, 0, "America/Chicago").toISOString() });
+    expect(validateOrderDates(order(18), week).warnings).toEqual([
+      expect.objectContaining({ code: "holiday", field: "delivery_start", message: "delivery falls on a holiday (Stocktake)" }),
+    ]);
+    expect(validateOrderDates(order(20), week).warnings).toEqual([]);
+  });
+
+  it("exports holiday names as event titles", () => {
+    const text = holidaysToICS(week, { now: new TZDate(2024, 5, 1, 9, 0, 0, "America/Chicago") });
+    expect(text).toContain("SUMMARY:Juneteenth");
+    expect(holidaysToICS(["2024-06-19"], { now: new TZDate(2024, 5, 1, 9, 0, 0, "America/Chicago") })).toContain("SUMMARY:CFS Holiday");
+  });
+
+  it("throws typed errors for malformed entries", () => {
+    expect(() => compileHolidays([42])).toThrow(expect.objectContaining({ name: "InvalidArgumentError", field: "holidays[0]" }));
+    expect(() => compileHolidays(["2024-06-18", { date: "2024-06-19", type: "party" }])).toThrow(
+      expect.objectContaining({ field: "holidays[1].type" })
+    );
+    expect(() => isHoliday(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), [{ date: "2024-06-19", chargeable: "yes" }])).toThrow(
+      expect.objectContaining({ field: "holidays[0].chargeable" })
+    );
+    expect(() => getHoliday(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), [{ date: "2024-06-19", name: 7 }])).toThrow(expect.objectContaining({ field: "holidays[0].name" }));
+  });
+
+  it("ignores entries whose date cannot be parsed", () => {
+    expect(compileHolidays([{ date: "soon", name: "Someday" }, ...week]).days.size).toBe(3);
+  });
+});
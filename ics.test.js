@@ -0,0 +1,247 @@
+import { describe, it, expect } from "vitest";
+import { TZDate } from "@date-fns/tz";
+import { holidaysToICS, orderDatesToICS, parseHolidaysFromICS } from "./ics.js";
+import { CFS_HOLIDAY_RULES, createBusinessCalendar, generateHolidays, InvalidArgumentError, InvalidDateError, isHoliday } from "./index.js";
+
+const now = new Date("2024-01-02T12:00:00Z");
+const ics = (...lines) => ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Test//EN", ...lines, "END:VCALENDAR"].join("\r\n");
+const allDay = (start, ...extra) => ["BEGIN:VEVENT", `UID:${start}-${extra.length}@test`, `DTSTART;VALUE=DATE:${start}`, ...extra, "END:VEVENT"];
+
+describe("holidaysToICS", () => {
+  it("writes one all-day event per holiday with stable UIDs", () => {
+    const text = holidaysToICS(["2024-12-25", "2024-07-04", "2024-12-25T00:00:00-06:00", "not a date"], { now });
+    expect(text.split("\r\n")).toEqual([
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//CFS//date-helpers//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      "X-WR-CALNAME:CFS Holidays",
+      "BEGIN:VEVENT",
+      "UID:holiday-2024-07-04@cfs-date-helpers",
+      "DTSTAMP:20240102T120000Z",
+      "DTSTART;VALUE=DATE:20240704",
+      "DTEND;VALUE=DATE:20240705",
+      "SUMMARY:CFS Holiday",
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "UID:holiday-2024-12-25@cfs-date-helpers",
+      "DTSTAMP:20240102T120000Z",
+      "DTSTART;VALUE=DATE:20241225",
+      "DTEND;VALUE=DATE:20241226",
+      "SUMMARY:CFS Holiday",
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+      "END:VCALENDAR",
+      "",
+    ]);
+  });
+
+  it("escapes text and folds long lines at 75 octets", () => {
+    const text = holidaysToICS(["2024-12-25"], { now, name: "Shop, closures; Chicago", summary: "Fermé — ".repeat(12) });
+    expect(text).toContain("X-WR-CALNAME:Shop\\, closures\\; Chicago\r\n");
+    const lines = text.split("\r\n");
+    expect(Math.max(...lines.map((line) => encodeURIComponent(line).replace(/%[0-9A-F]{2}/g, "x").length))).toBeLessThanOrEqual(75);
+    expect(lines.some((line) => line.startsWith(" "))).toBe(true);
+  });
+
+  it("round-trips through parseHolidaysFromICS", () => {
+    const holidays = generateHolidays(CFS_HOLIDAY_RULES, 2025, 2026);
+    expect(parseHolidaysFromICS(holidaysToICS(holidays, { now }), { now })).toEqual(holidays);
+  });
+
+  it("uses the calendar's holidays when bound", () => {
+    const calendar = createBusinessCalendar({ holidays: ["2025-01-01"] });
+    expect(calendar.holidaysToICS(undefined, { now })).toContain("DTSTART;VALUE=DATE:20250101\r\n");
+  });
+
+  it("throws for a holidays argument that isn't an array", () => {
+    expect(() => holidaysToICS("2024-12-25")).toThrow(InvalidArgumentError);
+  });
+});
+
+describe("parseHolidaysFromICS", () => {
+  it("reads all-day events, including multi-day ones, as isHoliday-ready strings", () => {
+    const text = ics(
+      ...allDay("20241224", "DTEND;VALUE=DATE:20241227", "SUMMARY:Winter break"),
+      ...allDay("20240704"),
+      ...allDay("20241129", "DURATION:P1D"),
+      "BEGIN:VEVENT",
+      "UID:meeting@test",
+      "DTSTART;TZID=America/Chicago:20240610T090000",
+      "DTEND;TZID=America/Chicago:20240610T100000",
+      "END:VEVENT",
+      ...allDay("20240902", "STATUS:CANCELLED")
+    );
+    const holidays = parseHolidaysFromICS(text, { now });
+    expect(holidays).toEqual(["2024-07-04", "2024-11-29", "2024-12-24", "2024-12-25", "2024-12-26"]);
+    expect(isHoliday(new TZDate(2024, 11, 26, 15, 0, 0, "America/Chicago"), holidays)).toBe(true);
+  });
+
+  it("unfolds lines and ignores alarms and time zones", () => {
+    const text = [
+      "BEGIN:VCALENDAR",
+      "BEGIN:VTIMEZONE",
+      "TZID:America/Chicago",
+      "BEGIN:STANDARD",
+      "DTSTART:19701101T020000",
+      "END:STANDARD",
+      "END:VTIMEZONE",
+      "BEGIN:VEVENT",
+      "DTSTART;VALUE=DATE:2024",
+      " 0527",
+      "BEGIN:VALARM",
+      "TRIGGER:-P1D",
+      "DTSTART;VALUE=DATE:20240101",
+      "END:VALARM",
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ].join("\n");
+    expect(parseHolidaysFromICS(text, { now })).toEqual(["2024-05-27"]);
+  });
+
+  it("expands yearly recurrences to endYear, applying EXDATE", () => {
+    const text = ics(...allDay("20231225", "RRULE:FREQ=YEARLY", "EXDATE;VALUE=DATE:20241225,20251225"));
+    expect(parseHolidaysFromICS(text, { now })).toEqual(["2023-12-25"]);
+    expect(parseHolidaysFromICS(text, { endYear: 2027 })).toEqual(["2023-12-25", "2026-12-25", "2027-12-25"]);
+    // Without endYear, open-ended rules run through the year after now
+    expect(parseHolidaysFromICS(ics(...allDay("20230704", "RRULE:FREQ=YEARLY;BYMONTH=7;BYMONTHDAY=4")), { now })).toEqual([
+      "2023-07-04",
+      "2024-07-04",
+      "2025-07-04",
+    ]);
+  });
+
+  it("expands nth and last weekday rules, COUNT, UNTIL and INTERVAL", () => {
+    const thanksgiving = ics(...allDay("20231123", "RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=4TH;COUNT=3"));
+    expect(parseHolidaysFromICS(thanksgiving, { endYear: 2030 })).toEqual(["2023-11-23", "2024-11-28", "2025-11-27"]);
+
+    const memorialDay = ics(...allDay("20230529", "RRULE:FREQ=YEARLY;BYMONTH=5;BYDAY=-1MO;UNTIL=20250601"));
+    expect(parseHolidaysFromICS(memorialDay, { endYear: 2030 })).toEqual(["2023-05-29", "2024-05-27", "2025-05-26"]);
+
+    const everyOtherYear = ics(...allDay("20240301", "RRULE:FREQ=YEARLY;INTERVAL=2"));
+    expect(parseHolidaysFromICS(everyOtherYear, { endYear: 2029 })).toEqual(["2024-03-01", "2026-03-01", "2028-03-01"]);
+
+    const leapDay = ics(...allDay("20240229", "RRULE:FREQ=YEARLY;COUNT=2"));
+    expect(parseHolidaysFromICS(leapDay, { endYear: 2030 })).toEqual(["2024-02-29", "2028-02-29"]);
+  });
+
+  it("applies RECURRENCE-ID overrides to the matching occurrence", () => {
+    const text = ics(
+      "BEGIN:VEVENT",
+      "UID:xmas@test",
+      "DTSTART;VALUE=DATE:20241225",
+      "RRULE:FREQ=YEARLY",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "UID:xmas@test",
+      "RECURRENCE-ID;VALUE=DATE:20251225",
+      "DTSTART;VALUE=DATE:20251226",
+      "END:VEVENT"
+    );
+    expect(parseHolidaysFromICS(text, { endYear: 2026 })).toEqual(["2024-12-25", "2025-12-26", "2026-12-25"]);
+  });
+
+  it("filters by startYear and endYear", () => {
+    const text = ics(...allDay("20220101"), ...allDay("20240101"), ...allDay("20260101"));
+    expect(parseHolidaysFromICS(text, { startYear: 2023, endYear: 2025 })).toEqual(["2024-01-01"]);
+  });
+
+  it("throws for unsupported recurrences and malformed events", () => {
+    expect(() => parseHolidaysFromICS(ics(...allDay("20240101", "RRULE:FREQ=WEEKLY")), { now })).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", field: "VEVENT[0].RRULE", value: "FREQ=WEEKLY" })
+    );
+    expect(() => parseHolidaysFromICS(ics(...allDay("20240101", "RRULE:FREQ=YEARLY;BYDAY=MO,TU")), { now })).toThrow(InvalidArgumentError);
+    expect(() => parseHolidaysFromICS(ics(...allDay("20241340")), { now })).toThrow(
+      expect.objectContaining({ name: "InvalidDateError", field: "VEVENT[0].DTSTART" })
+    );
+    expect(() => parseHolidaysFromICS(ics("BEGIN:VEVENT", "SUMMARY:No date", "END:VEVENT"), { now })).toThrow(
+      expect.objectContaining({ field: "VEVENT[0].DTSTART" })
+    );
+    expect(() => parseHolidaysFromICS("2024-12-25")).toThrow(expect.objectContaining({ field: "text" }));
+    expect(() => parseHolidaysFromICS(ics(), { endYear: "2025" })).toThrow(expect.objectContaining({ field: "endYear" }));
+  });
+});
+
+describe("orderDatesToICS", () => {
+  const dates = { delivery_start: "2024-03-08T15:00:00Z", collection_start: "2024-11-04T20:00:00Z" };
+
+  it("writes delivery and collection as Chicago wall-clock events", () => {
+    const text = orderDatesToICS(dates, { now, title: "ORD-1042", uid: "1042", location: "1 Main St, Chicago" });
+    expect(text).toContain(
+      [
+        "BEGIN:VEVENT",
+        "UID:order-1042-delivery@cfs-date-helpers",
+        "DTSTAMP:20240102T120000Z",
+        "DTSTART;TZID=America/Chicago:20240308T090000",
+        "DTEND;TZID=America/Chicago:20240308T100000",
+        "SUMMARY:Delivery: ORD-1042",
+        "LOCATION:1 Main St\\, Chicago",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:order-1042-collection@cfs-date-helpers",
+        "DTSTAMP:20240102T120000Z",
+        "DTSTART;TZID=America/Chicago:20241104T140000",
+        "DTEND;TZID=America/Chicago:20241104T150000",
+        "SUMMARY:Collection: ORD-1042",
+        "LOCATION:1 Main St\\, Chicago",
+        "END:VEVENT",
+      ].join("\r\n")
+    );
+  });
+
+  it("gives orders that share a delivery time different default UIDs", () => {
+    const uids = (order, options) => orderDatesToICS(order, { now, ...options }).replace(/\r\n /g, "").match(/^UID:.*$/gm);
+    const other = { ...dates, collection_start: "2024-11-05T20:00:00Z" };
+    expect(uids(dates)).toEqual([
+      "UID:order-20240308T150000Z-20241104T200000Z-delivery@cfs-date-helpers",
+      "UID:order-20240308T150000Z-20241104T200000Z-collection@cfs-date-helpers",
+    ]);
+    expect(uids(other)).not.toContain(uids(dates)[0]);
+    expect(uids(other)).not.toContain(uids(dates)[1]);
+    expect(uids(dates, { title: "ORD 1042" })[0]).toBe("UID:order-20240308T150000Z-20241104T200000Z-ORD_1042-delivery@cfs-date-helpers");
+    expect(uids(dates, { title: "ORD 1043" })[0]).not.toBe(uids(dates, { title: "ORD 1042" })[0]);
+  });
+
+  it("includes a VTIMEZONE with the daylight saving changes around the order", () => {
+    const text = orderDatesToICS(dates, { now });
+    expect(text).toContain(
+      [
+        "BEGIN:VTIMEZONE",
+        "TZID:America/Chicago",
+        "BEGIN:DAYLIGHT",
+        "DTSTART:20230312T020000",
+        "TZOFFSETFROM:-0600",
+        "TZOFFSETTO:-0500",
+        "TZNAME:CDT",
+        "END:DAYLIGHT",
+        "BEGIN:STANDARD",
+        "DTSTART:20231105T020000",
+        "TZOFFSETFROM:-0500",
+        "TZOFFSETTO:-0600",
+        "TZNAME:CST",
+        "END:STANDARD",
+        "BEGIN:DAYLIGHT",
+        "DTSTART:20240310T020000",
+      ].join("\r\n")
+    );
+    expect(text).toContain("DTSTART:20241103T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0600\r\nTZNAME:CST\r\nEND:STANDARD\r\nEND:VTIMEZONE");
+  });
+
+  it("uses the calendar's time zone and a fixed-offset VTIMEZONE for zones without DST", () => {
+    const phoenix = createBusinessCalendar({ timeZone: "America/Phoenix" });
+    const text = phoenix.orderDatesToICS(dates, { now, eventMinutes: 30 });
+    expect(text).toContain("BEGIN:STANDARD\r\nDTSTART:19700101T000000\r\nTZOFFSETFROM:-0700\r\nTZOFFSETTO:-0700\r\nTZNAME:MST\r\nEND:STANDARD");
+    expect(text).toContain("DTSTART;TZID=America/Phoenix:20240308T080000\r\nDTEND;TZID=America/Phoenix:20240308T083000");
+  });
+
+  it("throws typed errors for invalid dates and options", () => {
+    expect(() => orderDatesToICS({ delivery_start: "soon", collection_start: dates.collection_start })).toThrow(
+      expect.objectContaining({ name: "InvalidDateError", field: "delivery_start" })
+    );
+    expect(() => orderDatesToICS(null)).toThrow(InvalidArgumentError);
+    expect(() => orderDatesToICS(dates, { eventMinutes: 0 })).toThrow(expect.objectContaining({ field: "eventMinutes" }));
+    expect(() => orderDatesToICS({ delivery_start: dates.delivery_start })).toThrow(InvalidDateError);
+  });
+});
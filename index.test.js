@@ -1,12 +1,30 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
-import { TZDate } from "@date-fns/tz";
+import { TZDate, tzScan } from "@date-fns/tz";
 import {
   isHoliday,
   isOffHours,
   getDefaultStartDate,
+  getDefaultStartDateAt,
   getEndDateByChargePeriod,
+  getStartDateByChargePeriod,
+  getCollectionDateRange,
   countCfsBusinessDays,
-  getDuration
+  getDuration,
+  getBusinessHours,
+  isBusinessDay,
+  nextBusinessDay,
+  previousBusinessDay,
+  addBusinessDays,
+  nextOpenTime,
+  clampToBusinessHours,
+  getDeliverySlots,
+  addBusinessHours,
+  differenceInBusinessHours,
+  compileHolidays,
+  createBusinessCalendar,
+  CFS_CALENDAR,
+  InvalidArgumentError,
+  SearchLimitError
 } from "./index.js";
 
 // Sample holidays for testing
@@ -453,3 +471,1139 @@ describe("getDuration", () => {
     expect(() => getDuration({ delivery_start: start.toISOString(), collection_start: end.toISOString() }, null)).toThrow("holidays must be an array");
   });
 });
+
+describe("createBusinessCalendar", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("CFS_CALENDAR gives the same results as the module-level helpers", () => {
+    const start = new TZDate(2024, 5, 20, 9, 0, 0, "America/Chicago");
+    const end = new TZDate(2024, 6, 5, 17, 0, 0, "America/Chicago");
+    expect(CFS_CALENDAR.countCfsBusinessDays(start, end, holidays)).toEqual(countCfsBusinessDays(start, end, holidays));
+    expect(CFS_CALENDAR.getEndDateByChargePeriod(start, 7, holidays)).toEqual(getEndDateByChargePeriod(start, 7, holidays));
+    expect(CFS_CALENDAR.isOffHours(start)).toBe(isOffHours(start));
+    expect(CFS_CALENDAR.timeZone).toBe("America/Chicago");
+    expect(CFS_CALENDAR.openTime).toBe("08:00");
+    expect(CFS_CALENDAR.workingDays).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it("uses the calendar's holidays when none are passed", () => {
+    const calendar = createBusinessCalendar({ holidays: ["2024-07-04"] });
+    const start = new TZDate(2024, 6, 1, 9, 0, 0, "America/Chicago");
+    const end = new TZDate(2024, 6, 5, 17, 0, 0, "America/Chicago");
+    expect(calendar.countCfsBusinessDays(start, end).days).toBe(4);
+    expect(calendar.countCfsBusinessDays(start, end, []).days).toBe(5);
+    expect(calendar.isHoliday(new TZDate(2024, 6, 4, "America/Chicago"))).toBe(true);
+  });
+
+  it("matches holidays and business hours in its own time zone", () => {
+    const calendar = createBusinessCalendar({ timeZone: "America/Los_Angeles", holidays: ["2024-12-25"] });
+    // 1am Christmas in Chicago is still Christmas Eve in Los Angeles
+    const chicagoChristmas = new TZDate(2024, 11, 25, 1, 0, 0, "America/Chicago");
+    expect(isHoliday(chicagoChristmas, ["2024-12-25"])).toBe(true);
+    expect(calendar.isHoliday(chicagoChristmas)).toBe(false);
+    expect(calendar.isOffHours(new TZDate(2024, 5, 17, 8, 0, 0, "America/Los_Angeles"))).toBe(false);
+    expect(calendar.isOffHours(new TZDate(2024, 5, 17, 7, 59, 0, "America/Los_Angeles"))).toBe(true);
+    expect(calendar.isOffHours(new TZDate(2024, 5, 17, 17, 0, 0, "America/Chicago"))).toBe(false);
+  });
+
+  it("recompiles compiled holidays for its own time zone", () => {
+    const calendar = createBusinessCalendar({ timeZone: "America/Los_Angeles" });
+    const compiled = compileHolidays(["2024-12-25T00:00:00-06:00"]);
+    expect(calendar.isHoliday(new TZDate(2024, 11, 24, 23, 0, 0, "America/Los_Angeles"), compiled)).toBe(true);
+  });
+
+  it("counts configured working days", () => {
+    const calendar = createBusinessCalendar({ workingDays: [1, 2, 3, 4, 5, 6] });
+    const friday = new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago");
+    const sunday = new TZDate(2024, 5, 23, 17, 0, 0, "America/Chicago");
+    expect(calendar.countCfsBusinessDays(friday, sunday).days).toBe(2);
+    expect(calendar.getEndDateByChargePeriod(friday, 2).getDate()).toBe(22); // Saturday
+  });
+
+  it("uses configured opening hours", () => {
+    const calendar = createBusinessCalendar({ openTime: "07:30", closeTime: "18:00" });
+    expect(calendar.isOffHours(new TZDate(2024, 5, 17, 7, 30, 0, "America/Chicago"))).toBe(false);
+    expect(calendar.isOffHours(new TZDate(2024, 5, 17, 7, 29, 0, "America/Chicago"))).toBe(true);
+    expect(calendar.isOffHours(new TZDate(2024, 5, 17, 17, 30, 0, "America/Chicago"))).toBe(false);
+  });
+
+  it("uses the configured default start time and same-day cutoff", () => {
+    vi.useFakeTimers();
+    const calendar = createBusinessCalendar({ defaultStartTime: "10:30", sameDayCutoff: "10:00" });
+    vi.setSystemTime(new Date("2024-06-17T14:30:00Z")); // 9:30am Chicago (CDT)
+    let result = calendar.getDefaultStartDate();
+    expect(result.getDate()).toBe(17);
+    expect(result.getHours()).toBe(10);
+    expect(result.getMinutes()).toBe(30);
+    vi.setSystemTime(new Date("2024-06-17T15:01:00Z")); // 10:01am Chicago (CDT)
+    result = calendar.getDefaultStartDate();
+    expect(result.getDate()).toBe(18);
+  });
+
+  it("returns the default start date in its own time zone", () => {
+    vi.useFakeTimers();
+    const calendar = createBusinessCalendar({ timeZone: "Europe/London" });
+    vi.setSystemTime(new Date("2024-06-17T06:00:00Z")); // 7am London (BST)
+    const result = calendar.getDefaultStartDate();
+    expect(result.toISOString()).toBe("2024-06-17T09:00:00.000+01:00");
+  });
+
+  it("passes options through to bound helpers", () => {
+    const calendar = createBusinessCalendar({ timeZone: "America/Los_Angeles" });
+    const date = new TZDate(2024, 5, 17, 7, 0, 0, "America/Los_Angeles");
+    expect(isOffHours(date, { calendar })).toBe(true);
+    expect(calendar.isOffHours(date, { calendar: CFS_CALENDAR })).toBe(true);
+  });
+
+  it("throws error for an invalid config", () => {
+    expect(() => createBusinessCalendar(null)).toThrow("calendar config must be an object");
+    expect(() => createBusinessCalendar({ timeZone: "Mars/Olympus_Mons" })).toThrow("timeZone must be a valid IANA time zone");
+    expect(() => createBusinessCalendar({ openTime: "8am" })).toThrow('openTime must be an "HH:mm" time of day');
+    expect(() => createBusinessCalendar({ openTime: "17:00" })).toThrow("closeTime must be later than openTime");
+    expect(() => createBusinessCalendar({ workingDays: [] })).toThrow("workingDays must be a non-empty array");
+    expect(() => createBusinessCalendar({ workingDays: [7] })).toThrow("workingDays must be a non-empty array");
+    expect(() => createBusinessCalendar({ holidays: "2024-12-25" })).toThrow("holidays must be an array");
+  });
+
+  it("throws error when options.calendar was not created by createBusinessCalendar", () => {
+    const date = new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago");
+    expect(() => isOffHours(date, { calendar: { timeZone: "America/Chicago" } })).toThrow("calendar must be created with createBusinessCalendar");
+  });
+});
+
+describe("getBusinessHours", () => {
+  const calendar = createBusinessCalendar({
+    workingDays: [1, 2, 3, 4, 5, 6],
+    weeklyHours: { 0: null, 6: { open: "09:00", close: "13:00" } },
+    specialHours: [
+      { date: "2024-12-24", close: "12:00", name: "Christmas Eve" },
+      { date: "2024-11-29", close: "13:00", name: "Day after Thanksgiving" },
+      { date: "2024-06-18", open: "10:00" },
+      { date: "2024-06-19", closed: true, name: "Inventory" },
+      { from: "2024-07-01", to: "2024-08-31", weekdays: [6], open: "08:00", close: "11:00", name: "Production season" },
+    ],
+  });
+
+  it("returns the CFS hours as TZDates on the same day", () => {
+    const date = new TZDate(2024, 5, 17, 12, 0, 0, "America/Chicago");
+    const result = getBusinessHours(date);
+    expect(result.closed).toBe(false);
+    expect(result.open.toISOString()).toBe("2024-06-17T08:00:00.000-05:00");
+    expect(result.close.toISOString()).toBe("2024-06-17T16:00:00.000-05:00");
+    expect(result.name).toBe(null);
+  });
+
+  it("uses weekday-specific hours", () => {
+    const saturday = new TZDate(2024, 5, 22, 10, 0, 0, "America/Chicago");
+    const result = calendar.getBusinessHours(saturday);
+    expect(result.open.getHours()).toBe(9);
+    expect(result.close.getHours()).toBe(13);
+  });
+
+  it("returns closed for a weekday with null hours", () => {
+    const sunday = new TZDate(2024, 5, 23, 10, 0, 0, "America/Chicago");
+    expect(calendar.getBusinessHours(sunday)).toEqual({ open: null, close: null, closed: true, name: null });
+  });
+
+  it("applies early close and late open overrides, keeping the other side of the day", () => {
+    const christmasEve = calendar.getBusinessHours(new TZDate(2024, 11, 24, 10, 0, 0, "America/Chicago"));
+    expect(christmasEve.open.getHours()).toBe(8);
+    expect(christmasEve.close.getHours()).toBe(12);
+    expect(christmasEve.name).toBe("Christmas Eve");
+    const lateOpen = calendar.getBusinessHours(new TZDate(2024, 5, 18, 10, 0, 0, "America/Chicago"));
+    expect(lateOpen.open.getHours()).toBe(10);
+    expect(lateOpen.close.getHours()).toBe(16);
+  });
+
+  it("applies closed overrides", () => {
+    const result = calendar.getBusinessHours(new TZDate(2024, 5, 19, 10, 0, 0, "America/Chicago"));
+    expect(result.closed).toBe(true);
+    expect(result.name).toBe("Inventory");
+  });
+
+  it("applies seasonal overrides only on matching weekdays inside the range", () => {
+    const seasonSaturday = calendar.getBusinessHours(new TZDate(2024, 6, 13, 10, 0, 0, "America/Chicago"));
+    expect(seasonSaturday.open.getHours()).toBe(8);
+    expect(seasonSaturday.close.getHours()).toBe(11);
+    const seasonFriday = calendar.getBusinessHours(new TZDate(2024, 6, 12, 10, 0, 0, "America/Chicago"));
+    expect(seasonFriday.close.getHours()).toBe(16);
+    const septemberSaturday = calendar.getBusinessHours(new TZDate(2024, 8, 7, 10, 0, 0, "America/Chicago"));
+    expect(septemberSaturday.close.getHours()).toBe(13);
+  });
+
+  it("uses the calendar's day for dates given in another zone", () => {
+    // 3am UTC on Dec 25 is still Christmas Eve in Chicago
+    const result = calendar.getBusinessHours(new Date("2024-12-25T03:00:00Z"));
+    expect(result.name).toBe("Christmas Eve");
+  });
+
+  it("throws error for invalid date", () => {
+    expect(() => getBusinessHours(null)).toThrow("date must be a valid date object");
+    expect(() => getBusinessHours(new Date("invalid"))).toThrow("date must be a valid date object");
+  });
+
+  it("throws error for invalid hours config", () => {
+    expect(() => createBusinessCalendar({ weeklyHours: { 7: null } })).toThrow("weeklyHours keys must be weekdays");
+    expect(() => createBusinessCalendar({ weeklyHours: { 6: { open: "13:00", close: "09:00" } } })).toThrow("weeklyHours[6].close must be later than weeklyHours[6].open");
+    expect(() => createBusinessCalendar({ specialHours: [{ date: "2024-12-24" }] })).toThrow("needs open, close or closed: true");
+    expect(() => createBusinessCalendar({ specialHours: [{ date: "12/24/2024", close: "12:00" }] })).toThrow('needs a "YYYY-MM-DD" date');
+    expect(() => createBusinessCalendar({ specialHours: [{ from: "2024-08-31", to: "2024-07-01", close: "12:00" }] })).toThrow("from and to dates in order");
+  });
+
+  it("rejects partial special hours that close before the regular opening when the calendar is created", () => {
+    expect(() => createBusinessCalendar({ specialHours: [{ from: "2024-06-01", to: "2024-06-30", close: "07:00" }] })).toThrow(
+      expect.objectContaining({ name: "InvalidConfigError", field: "specialHours[0].close", value: "07:00" })
+    );
+    const weeklyHours = { 6: { open: "10:00", close: "14:00" } };
+    expect(() => createBusinessCalendar({ weeklyHours, specialHours: [{ from: "2024-06-01", to: "2024-06-30", open: "15:00" }] })).toThrow(
+      "specialHours[0].open leaves close at or before open on weekday 6"
+    );
+    // Weekdays the entry never applies to are not checked
+    const calendar = createBusinessCalendar({ weeklyHours, specialHours: [{ from: "2024-06-01", to: "2024-06-30", weekdays: [1], open: "15:00" }] });
+    expect(calendar.getBusinessHours("2024-06-15").open.toISOString()).toBe("2024-06-15T10:00:00.000-05:00");
+    expect(calendar.getBusinessHours("2024-06-17").open.toISOString()).toBe("2024-06-17T15:00:00.000-05:00");
+  });
+});
+
+describe("isOffHours with a business hours schedule", () => {
+  const calendar = createBusinessCalendar({
+    weeklyHours: { 0: null },
+    specialHours: [
+      { date: "2024-12-24", close: "12:00", name: "Christmas Eve" },
+      { date: "2024-06-19", closed: true },
+    ],
+  });
+
+  it("is off hours after an early close", () => {
+    expect(calendar.isOffHours(new TZDate(2024, 11, 24, 11, 59, 0, "America/Chicago"))).toBe(false);
+    expect(calendar.isOffHours(new TZDate(2024, 11, 24, 12, 1, 0, "America/Chicago"))).toBe(true);
+  });
+
+  it("is off hours all day on closed days", () => {
+    expect(calendar.isOffHours(new TZDate(2024, 5, 19, 12, 0, 0, "America/Chicago"))).toBe(true);
+    expect(calendar.isOffHours(new TZDate(2024, 5, 23, 12, 0, 0, "America/Chicago"))).toBe(true); // Sunday
+  });
+
+  it("keeps the regular hours on other days", () => {
+    expect(calendar.isOffHours(new TZDate(2024, 5, 18, 12, 0, 0, "America/Chicago"))).toBe(false);
+    expect(calendar.isOffHours(new TZDate(2024, 5, 18, 16, 1, 0, "America/Chicago"))).toBe(true);
+  });
+});
+
+describe("isBusinessDay", () => {
+  it("returns true for a weekday that isn't a holiday", () => {
+    expect(isBusinessDay(new TZDate(2024, 11, 26, "America/Chicago"), holidays)).toBe(true);
+  });
+
+  it("returns false for weekends and holidays", () => {
+    expect(isBusinessDay(new TZDate(2024, 11, 25, "America/Chicago"), holidays)).toBe(false);
+    expect(isBusinessDay(new TZDate(2024, 11, 28, "America/Chicago"), holidays)).toBe(false); // Saturday
+  });
+
+  it("throws error for invalid input", () => {
+    expect(() => isBusinessDay(null, holidays)).toThrow("date must be a valid date object");
+    expect(() => isBusinessDay(new TZDate(2024, 11, 26, "America/Chicago"), null)).toThrow("holidays must be an array");
+  });
+});
+
+describe("nextBusinessDay / previousBusinessDay", () => {
+  it("moves to the next business day, keeping the time of day", () => {
+    const tuesday = new TZDate(2024, 11, 24, 14, 30, 0, "America/Chicago");
+    const result = nextBusinessDay(tuesday, holidays);
+    // Skips Christmas (Wed 25)
+    expect(result.getDate()).toBe(26);
+    expect(result.getHours()).toBe(14);
+    expect(result.getMinutes()).toBe(30);
+  });
+
+  it("skips weekends in both directions", () => {
+    const friday = new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago");
+    const monday = new TZDate(2024, 5, 24, 9, 0, 0, "America/Chicago");
+    expect(nextBusinessDay(friday, []).getDate()).toBe(24);
+    expect(previousBusinessDay(monday, []).getDate()).toBe(21);
+  });
+
+  it("moves from a non-business day to the nearest business day", () => {
+    const saturday = new TZDate(2024, 5, 22, 9, 0, 0, "America/Chicago");
+    expect(nextBusinessDay(saturday, []).getDate()).toBe(24);
+    expect(previousBusinessDay(saturday, []).getDate()).toBe(21);
+  });
+});
+
+describe("addBusinessDays", () => {
+  const monday = new TZDate(2024, 6, 1, 9, 0, 0, "America/Chicago");
+
+  it("returns the same date for 0", () => {
+    expect(addBusinessDays(monday, 0, holidays)).toEqual(monday);
+  });
+
+  it("adds business days, skipping weekends and holidays", () => {
+    // Tue 2, Wed 3, skip Thu 4 (holiday), Fri 5, skip weekend, Mon 8
+    expect(addBusinessDays(monday, 4, holidays).getDate()).toBe(8);
+  });
+
+  it("subtracts business days for a negative amount", () => {
+    const friday = new TZDate(2024, 6, 5, 9, 0, 0, "America/Chicago");
+    // Wed 3, Tue 2 (skipping Thu 4)
+    expect(addBusinessDays(friday, -2, holidays).getDate()).toBe(2);
+  });
+
+  it("agrees with getEndDateByChargePeriod from a business day", () => {
+    for (const period of [1, 2, 5, 11]) {
+      expect(addBusinessDays(monday, period - 1, holidays)).toEqual(getEndDateByChargePeriod(monday, period, holidays));
+    }
+  });
+
+  it("throws error for a fractional amount", () => {
+    expect(() => addBusinessDays(monday, 1.5, holidays)).toThrow("amount must be a whole number");
+    expect(() => addBusinessDays(monday, NaN, holidays)).toThrow("amount must be a whole number");
+  });
+});
+
+describe("nextOpenTime", () => {
+  it("returns the date itself during business hours", () => {
+    const date = new TZDate(2024, 5, 17, 11, 15, 0, "America/Chicago");
+    expect(nextOpenTime(date, []).toISOString()).toBe(date.toISOString());
+  });
+
+  it("returns opening time the same day before opening", () => {
+    const date = new TZDate(2024, 5, 17, 6, 0, 0, "America/Chicago");
+    expect(nextOpenTime(date, []).toISOString()).toBe("2024-06-17T08:00:00.000-05:00");
+  });
+
+  it("returns the next business day's opening time after closing", () => {
+    const friday = new TZDate(2024, 5, 21, 17, 0, 0, "America/Chicago");
+    expect(nextOpenTime(friday, []).toISOString()).toBe("2024-06-24T08:00:00.000-05:00");
+  });
+
+  it("skips holidays and days closed by the hours schedule", () => {
+    const calendar = createBusinessCalendar({ specialHours: [{ date: "2024-07-05", closed: true }] });
+    const date = new TZDate(2024, 6, 3, 18, 0, 0, "America/Chicago");
+    expect(calendar.nextOpenTime(date, holidays).toISOString()).toBe("2024-07-08T08:00:00.000-05:00");
+  });
+
+  it("uses late opening hours", () => {
+    const calendar = createBusinessCalendar({ specialHours: [{ date: "2024-06-18", open: "10:00" }] });
+    const date = new TZDate(2024, 5, 17, 18, 0, 0, "America/Chicago");
+    expect(calendar.nextOpenTime(date, []).toISOString()).toBe("2024-06-18T10:00:00.000-05:00");
+  });
+
+  it("throws error when the calendar is never open", () => {
+    const calendar = createBusinessCalendar({ weeklyHours: { 1: null, 2: null, 3: null, 4: null, 5: null } });
+    expect(() => calendar.nextOpenTime(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"))).toThrow("no open business day found");
+  });
+});
+
+describe("clampToBusinessHours", () => {
+  it("leaves a time within business hours unchanged", () => {
+    const date = new TZDate(2024, 5, 17, 12, 0, 0, "America/Chicago");
+    expect(clampToBusinessHours(date, []).toISOString()).toBe(date.toISOString());
+  });
+
+  it("clamps to opening and closing time on the same day", () => {
+    const early = new TZDate(2024, 5, 17, 6, 0, 0, "America/Chicago");
+    const late = new TZDate(2024, 5, 17, 19, 0, 0, "America/Chicago");
+    expect(clampToBusinessHours(early, []).toISOString()).toBe("2024-06-17T08:00:00.000-05:00");
+    expect(clampToBusinessHours(late, []).toISOString()).toBe("2024-06-17T16:00:00.000-05:00");
+  });
+
+  it("moves non-business days to the next opening time", () => {
+    const christmas = new TZDate(2024, 11, 25, 12, 0, 0, "America/Chicago");
+    expect(clampToBusinessHours(christmas, holidays).toISOString()).toBe("2024-12-26T08:00:00.000-06:00");
+  });
+
+  it("returns a TZDate in the calendar's time zone for plain Dates", () => {
+    const result = clampToBusinessHours(new Date("2024-06-17T11:00:00Z"), []);
+    expect(result.toISOString()).toBe("2024-06-17T08:00:00.000-05:00");
+  });
+});
+
+describe("getDeliverySlots", () => {
+  const monday = new TZDate(2024, 5, 17, 0, 0, 0, "America/Chicago");
+  const now = new TZDate(2024, 5, 14, 12, 0, 0, "America/Chicago");
+  const starts = (slots) => slots.map((slot) => slot.start.toISOString());
+
+  it("lists hourly slots across business hours", () => {
+    const slots = getDeliverySlots(monday, [], { now });
+    expect(slots).toHaveLength(8);
+    expect(slots[0].start.toISOString()).toBe("2024-06-17T08:00:00.000-05:00");
+    expect(slots[0].end.toISOString()).toBe("2024-06-17T09:00:00.000-05:00");
+    expect(slots[7].end.toISOString()).toBe("2024-06-17T16:00:00.000-05:00");
+    expect(slots.every((slot) => !slot.offHours)).toBe(true);
+  });
+
+  it("flags a last slot that runs past closing", () => {
+    const slots = getDeliverySlots(monday, [], { now, slotMinutes: 90 });
+    expect(starts(slots).at(-1)).toBe("2024-06-17T15:30:00.000-05:00");
+    expect(slots.at(-1).end.toISOString()).toBe("2024-06-17T17:00:00.000-05:00");
+    expect(slots.map((slot) => slot.offHours)).toEqual([false, false, false, false, false, true]);
+  });
+
+  it("lists and flags slots before opening and after closing with includeOffHours", () => {
+    const slots = getDeliverySlots(monday, [], { now, includeOffHours: true, slotMinutes: 180 });
+    expect(slots.map((slot) => [slot.start.toISOString(), slot.offHours])).toEqual([
+      ["2024-06-17T02:00:00.000-05:00", true],
+      ["2024-06-17T05:00:00.000-05:00", true],
+      ["2024-06-17T08:00:00.000-05:00", false],
+      ["2024-06-17T11:00:00.000-05:00", false],
+      ["2024-06-17T14:00:00.000-05:00", true],
+      ["2024-06-17T17:00:00.000-05:00", true],
+      ["2024-06-17T20:00:00.000-05:00", true],
+      ["2024-06-17T23:00:00.000-05:00", true],
+    ]);
+    const hourly = getDeliverySlots(monday, [], { now, includeOffHours: true });
+    expect(hourly).toHaveLength(24);
+    expect(hourly.filter((slot) => !slot.offHours)).toHaveLength(8);
+    expect(hourly.map((slot) => slot.offHours)).toEqual(hourly.map((slot) => isOffHours(slot.start) || isOffHours(slot.end)));
+  });
+
+  it("lists the off-hours slots left today from now", () => {
+    const early = new TZDate(2024, 5, 17, 5, 30, 0, "America/Chicago");
+    expect(starts(getDeliverySlots(monday, [], { now: early, includeOffHours: true }))[0]).toBe("2024-06-17T06:00:00.000-05:00");
+    // A lead time is still counted in business hours, so prep can't start before opening
+    expect(starts(getDeliverySlots(monday, [], { now: early, includeOffHours: true, leadTimeBusinessHours: 1 }))[0]).toBe(
+      "2024-06-17T09:00:00.000-05:00"
+    );
+  });
+
+  it("counts the lead time in business hours, over the weekend", () => {
+    const friday = new TZDate(2024, 5, 14, 14, 0, 0, "America/Chicago");
+    const slots = getDeliverySlots(monday, [], { now: friday, leadTimeBusinessHours: 4 });
+    expect(starts(slots)[0]).toBe("2024-06-17T10:00:00.000-05:00");
+    expect(getDeliverySlots(friday, [], { now: friday, leadTimeBusinessHours: 4 })).toEqual([]);
+  });
+
+  it("skips slots that have already started today", () => {
+    const morning = new TZDate(2024, 5, 17, 10, 30, 0, "America/Chicago");
+    expect(starts(getDeliverySlots(monday, [], { now: morning }))[0]).toBe("2024-06-17T11:00:00.000-05:00");
+  });
+
+  it("has no slots on weekends, closing holidays and closed days", () => {
+    const calendar = createBusinessCalendar({ specialHours: [{ date: "2024-07-05", closed: true }] });
+    const july4 = new TZDate(2024, 6, 4, 0, 0, 0, "America/Chicago");
+    expect(getDeliverySlots(new TZDate(2024, 5, 15, 0, 0, 0, "America/Chicago"), [], { now })).toEqual([]);
+    expect(getDeliverySlots(july4, holidays, { now })).toEqual([]);
+    expect(getDeliverySlots("2024-06-19", [{ date: "2024-06-19", type: "no-delivery" }], { now })).toEqual([]);
+    expect(getDeliverySlots("2024-06-19", [{ date: "2024-06-19", type: "no-charge" }], { now })).toHaveLength(8);
+    expect(calendar.getDeliverySlots("2024-07-05", undefined, { now })).toEqual([]);
+  });
+
+  it("uses the calendar's hours and skips holidays in the lead time", () => {
+    const calendar = createBusinessCalendar({ specialHours: [{ date: "2024-06-18", open: "10:00", close: "12:00" }] });
+    const slots = calendar.getDeliverySlots("2024-06-18", ["2024-06-17"], { now, slotMinutes: 30, returnAs: "iso" });
+    expect(slots.map((slot) => slot.start)).toEqual([
+      "2024-06-18T10:00:00.000-05:00",
+      "2024-06-18T10:30:00.000-05:00",
+      "2024-06-18T11:00:00.000-05:00",
+      "2024-06-18T11:30:00.000-05:00",
+    ]);
+    const friday = new TZDate(2024, 5, 14, 14, 0, 0, "America/Chicago");
+    const tuesday = calendar.getDeliverySlots("2024-06-18", ["2024-06-17"], { now: friday, leadTimeBusinessHours: 3 });
+    expect(starts(tuesday)).toEqual(["2024-06-18T11:00:00.000-05:00"]);
+  });
+
+  it("throws on invalid slot lengths and lead times", () => {
+    expect(() => getDeliverySlots(monday, [], { now, slotMinutes: 0 })).toThrow(expect.objectContaining({ field: "slotMinutes" }));
+    expect(() => getDeliverySlots(monday, [], { now, slotMinutes: 7.5 })).toThrow(InvalidArgumentError);
+    expect(() => getDeliverySlots(monday, [], { now, leadTimeBusinessHours: -1 })).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", field: "leadTimeBusinessHours" })
+    );
+    expect(() => getDeliverySlots(monday, [], { now, leadTimeBusinessHours: 1e6 })).toThrow(SearchLimitError);
+  });
+});
+
+describe("addBusinessHours", () => {
+  const friday = new TZDate(2024, 5, 14, 14, 0, 0, "America/Chicago");
+
+  it("adds hours within the same day", () => {
+    const date = new TZDate(2024, 5, 17, 9, 30, 0, "America/Chicago");
+    expect(addBusinessHours(date, 2.5, []).toISOString()).toBe("2024-06-17T12:00:00.000-05:00");
+  });
+
+  it("steps over nights and weekends", () => {
+    expect(addBusinessHours(friday, 6, []).toISOString()).toBe("2024-06-17T12:00:00.000-05:00");
+    expect(addBusinessHours(friday, 2, []).toISOString()).toBe("2024-06-14T16:00:00.000-05:00");
+    expect(addBusinessHours(friday, 18, []).toISOString()).toBe("2024-06-18T16:00:00.000-05:00");
+  });
+
+  it("steps over holidays and days closed by the hours schedule", () => {
+    const calendar = createBusinessCalendar({ specialHours: [{ date: "2024-07-05", closed: true }] });
+    const date = new TZDate(2024, 6, 3, 15, 0, 0, "America/Chicago");
+    expect(calendar.addBusinessHours(date, 3, holidays).toISOString()).toBe("2024-07-08T10:00:00.000-05:00");
+    const noCharge = [{ date: "2024-06-17", type: "no-charge" }];
+    expect(addBusinessHours(friday, 6, noCharge).toISOString()).toBe("2024-06-17T12:00:00.000-05:00");
+    expect(addBusinessHours(friday, 6, ["2024-06-17"]).toISOString()).toBe("2024-06-18T12:00:00.000-05:00");
+  });
+
+  it("starts counting at the next opening time outside business hours", () => {
+    const saturday = new TZDate(2024, 5, 15, 11, 0, 0, "America/Chicago");
+    expect(addBusinessHours(saturday, 0, []).toISOString()).toBe("2024-06-17T08:00:00.000-05:00");
+    expect(addBusinessHours("2024-06-17T06:00:00-05:00", 1, []).toISOString()).toBe("2024-06-17T09:00:00.000-05:00");
+  });
+
+  it("moves backward for negative hours", () => {
+    const monday = new TZDate(2024, 5, 17, 10, 0, 0, "America/Chicago");
+    expect(addBusinessHours(monday, -4, []).toISOString()).toBe("2024-06-14T14:00:00.000-05:00");
+    expect(addBusinessHours("2024-06-15T12:00:00-05:00", -1, []).toISOString()).toBe("2024-06-14T15:00:00.000-05:00");
+  });
+
+  it("uses the calendar's hours across daylight saving changes", () => {
+    const calendar = createBusinessCalendar({ weeklyHours: { 1: { open: "10:00", close: "14:00" } } });
+    const date = new TZDate(2024, 2, 8, 15, 0, 0, "America/Chicago");
+    expect(calendar.addBusinessHours(date, 3, [], { returnAs: "iso" })).toBe("2024-03-11T12:00:00.000-05:00");
+  });
+
+  it("throws on invalid hours and unreachable results", () => {
+    expect(() => addBusinessHours(friday, NaN, [])).toThrow(expect.objectContaining({ name: "InvalidArgumentError", field: "hours" }));
+    expect(() => addBusinessHours(friday, "6", [])).toThrow(InvalidArgumentError);
+    expect(() => addBusinessHours(friday, 1e6, [])).toThrow(SearchLimitError);
+    expect(() => addBusinessHours(friday, -1e6, [])).toThrow(SearchLimitError);
+  });
+});
+
+describe("differenceInBusinessHours", () => {
+  const friday = new TZDate(2024, 5, 14, 15, 0, 0, "America/Chicago");
+  const monday = new TZDate(2024, 5, 17, 10, 0, 0, "America/Chicago");
+
+  it("counts only the open hours between two dates", () => {
+    expect(differenceInBusinessHours(friday, monday, [])).toBe(3);
+    expect(differenceInBusinessHours(monday, "2024-06-17T11:30:00-05:00", [])).toBe(1.5);
+    expect(differenceInBusinessHours("2024-06-15T09:00:00-05:00", "2024-06-16T15:00:00-05:00", [])).toBe(0);
+    expect(differenceInBusinessHours("2024-06-17T06:00:00-05:00", "2024-06-18T20:00:00-05:00", [])).toBe(16);
+  });
+
+  it("skips holidays that close the business", () => {
+    expect(differenceInBusinessHours(friday, monday, ["2024-06-17"])).toBe(1);
+    expect(differenceInBusinessHours(friday, monday, [{ date: "2024-06-17", type: "no-charge" }])).toBe(3);
+  });
+
+  it("is negative for reversed ranges, or throws under strict", () => {
+    expect(differenceInBusinessHours(monday, friday, [])).toBe(-3);
+    expect(differenceInBusinessHours("2024-06-16T12:00:00-05:00", "2024-06-15T12:00:00-05:00", [])).toBe(0);
+    expect(() => differenceInBusinessHours(monday, friday, [], { strict: true })).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", field: "end" })
+    );
+  });
+
+  it("round-trips with addBusinessHours", () => {
+    const calendar = createBusinessCalendar({ specialHours: [{ date: "2024-06-18", open: "10:00", close: "12:00" }] });
+    const due = calendar.addBusinessHours(friday, 20, ["2024-06-19"]);
+    expect(due.toISOString()).toBe("2024-06-21T09:00:00.000-05:00");
+    expect(calendar.differenceInBusinessHours(friday, due, ["2024-06-19"])).toBe(20);
+  });
+
+  it("throws on invalid dates and spans over maxSpanDays", () => {
+    expect(() => differenceInBusinessHours("soon", monday, [])).toThrow(expect.objectContaining({ name: "InvalidDateError", field: "start" }));
+    expect(() => differenceInBusinessHours(friday, monday, [], { maxSpanDays: 3 })).toThrow(InvalidArgumentError);
+  });
+});
+
+describe("getDefaultStartDateAt", () => {
+  it("returns today at 9am before the cutoff", () => {
+    const result = getDefaultStartDateAt(new Date("2024-06-17T12:00:00Z"), []); // 7am Chicago
+    expect(result.toISOString()).toBe("2024-06-17T09:00:00.000-05:00");
+  });
+
+  it("returns tomorrow at 9am from the cutoff on", () => {
+    const result = getDefaultStartDateAt(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), []);
+    expect(result.toISOString()).toBe("2024-06-18T09:00:00.000-05:00");
+  });
+
+  it("keeps today through the 8 o'clock hour", () => {
+    expect(getDefaultStartDateAt(new TZDate(2024, 5, 17, 8, 30, 0, "America/Chicago"), []).getDate()).toBe(17);
+    expect(getDefaultStartDateAt(new TZDate(2024, 5, 17, 8, 59, 59, "America/Chicago"), []).getDate()).toBe(17);
+  });
+
+  it("skips weekends and holidays", () => {
+    const result = getDefaultStartDateAt(new TZDate(2024, 6, 3, 10, 0, 0, "America/Chicago"), ["2024-07-04"]);
+    expect(result.getDate()).toBe(5);
+  });
+
+  it("skips days closed by specialHours and starts late openings at opening time", () => {
+    const calendar = createBusinessCalendar({
+      specialHours: [
+        { date: "2024-06-18", closed: true, name: "Stocktake" },
+        { date: "2024-06-19", open: "11:00" },
+      ],
+    });
+    const monday = new TZDate(2024, 5, 17, 10, 0, 0, "America/Chicago");
+    expect(calendar.getDefaultStartDateAt(monday, []).toISOString()).toBe("2024-06-19T11:00:00.000-05:00");
+    expect(calendar.getDefaultStartDateAt(monday, []).toISOString()).toBe(calendar.nextOpenTime(new TZDate(2024, 5, 18, 9, 0, 0, "America/Chicago"), []).toISOString());
+  });
+
+  it("accepts epoch milliseconds", () => {
+    const result = getDefaultStartDateAt(Date.parse("2024-06-17T12:00:00Z"), []);
+    expect(result.getDate()).toBe(17);
+  });
+
+  it("answers audit questions for past moments", () => {
+    // An order created Friday Dec 20, 2024 at 3pm defaulted to Monday Dec 23
+    const createdAt = "2024-12-20T21:00:00Z";
+    expect(getDefaultStartDateAt(new Date(createdAt), holidays).getDate()).toBe(23);
+  });
+
+  it("throws error for invalid now", () => {
+    expect(() => getDefaultStartDateAt(null, [])).toThrow("now must be a valid date object");
+    expect(() => getDefaultStartDateAt(new Date("invalid"), [])).toThrow("now must be a valid date object");
+  });
+
+  it("throws error when holidays is not an array", () => {
+    expect(() => getDefaultStartDateAt(new Date(), null)).toThrow("holidays must be an array");
+  });
+});
+
+describe("getDefaultStartDate clock injection", () => {
+  it("uses options.now instead of the system time", () => {
+    const result = getDefaultStartDate([], { now: new Date("2024-06-14T15:00:00Z") }); // Friday 10am Chicago
+    expect(result.toISOString()).toBe("2024-06-17T09:00:00.000-05:00");
+  });
+
+  it("accepts a clock function as options.now", () => {
+    const clock = () => new Date("2024-06-17T12:00:00Z");
+    expect(getDefaultStartDate([], { now: clock }).getDate()).toBe(17);
+  });
+
+  it("uses the calendar's clock, which options.now overrides", () => {
+    const calendar = createBusinessCalendar({ clock: () => Date.parse("2024-06-17T12:00:00Z") });
+    expect(calendar.getDefaultStartDate().getDate()).toBe(17);
+    expect(calendar.getDefaultStartDate([], { now: new Date("2024-06-17T15:00:00Z") }).getDate()).toBe(18);
+  });
+
+  it("throws error when the clock returns an invalid date", () => {
+    expect(() => getDefaultStartDate([], { now: () => "yesterday" })).toThrow("now must be a valid date, epoch milliseconds, or a function returning one");
+    expect(() => createBusinessCalendar({ clock: "2024-06-17" })).toThrow("clock must be a function");
+  });
+});
+
+describe("getDuration proration", () => {
+  // Monday June 17 → Friday June 21, 2024 (5 business days)
+
+  it("leaves whole days unchanged without the proration option", () => {
+    const result = getDuration({ delivery_start: "2024-06-17T15:00:00.000-05:00", collection_start: "2024-06-21T09:00:00.000-05:00" }, []);
+    expect(result.chargeDays).toBe(5);
+    expect(result.chargeAdjustments).toBeUndefined();
+  });
+
+  it("charges half days for an afternoon delivery and a morning collection", () => {
+    const result = getDuration({ delivery_start: "2024-06-17T15:00:00.000-05:00", collection_start: "2024-06-21T09:00:00.000-05:00" }, [], { proration: true });
+    expect(result.activeDays).toBe(5);
+    expect(result.chargeWholeDays).toBe(5);
+    expect(result.chargeDays).toBe(4);
+    expect(result.chargeWeeks).toBe(0.8);
+    expect(result.chargePeriodLabel).toBe("4 days");
+    expect(result.chargeAdjustments).toEqual([
+      { boundary: "start", date: "2024-06-17T15:00:00.000-05:00", factor: 0.5, days: -0.5, reason: "start-after-half-day-cutoff" },
+      { boundary: "end", date: "2024-06-21T09:00:00.000-05:00", factor: 0.5, days: -0.5, reason: "end-before-half-day-cutoff" },
+    ]);
+  });
+
+  it("charges nothing for a delivery after closing or a collection before opening", () => {
+    const result = getDuration({ delivery_start: "2024-06-17T17:00:00.000-05:00", collection_start: "2024-06-21T07:00:00.000-05:00" }, [], { proration: true });
+    expect(result.chargeDays).toBe(3);
+    expect(result.chargeAdjustments.map(({ reason }) => reason)).toEqual(["start-off-hours", "end-off-hours"]);
+  });
+
+  it("keeps full days for a morning delivery and an afternoon collection", () => {
+    const result = getDuration({ delivery_start: "2024-06-17T09:00:00.000-05:00", collection_start: "2024-06-21T14:00:00.000-05:00" }, [], { proration: true });
+    expect(result.chargeDays).toBe(5);
+    expect(result.chargeAdjustments).toEqual([]);
+  });
+
+  it("prorates the charge window rather than the active window", () => {
+    const result = getDuration({
+      delivery_start: "2024-06-17T09:00:00.000-05:00",
+      collection_start: "2024-06-21T14:00:00.000-05:00",
+      charge_start: "2024-06-18T13:00:00.000-05:00",
+      charge_end: "2024-06-20T14:00:00.000-05:00",
+    }, [], { proration: true });
+    expect(result.activeDays).toBe(5);
+    expect(result.chargeDays).toBe(2.5);
+    expect(result.chargePeriodLabel).toBe("2.5 days");
+  });
+
+  it("does not adjust boundaries on non-business days", () => {
+    // Saturday 3pm delivery is already not charged
+    const result = getDuration({ delivery_start: "2024-06-22T15:00:00.000-05:00", collection_start: "2024-06-25T14:00:00.000-05:00" }, [], { proration: true });
+    expect(result.chargeDays).toBe(2);
+    expect(result.chargeAdjustments).toEqual([]);
+  });
+
+  it("applies the lower share once for a same-day rental", () => {
+    const result = getDuration({ delivery_start: "2024-06-17T13:00:00.000-05:00", collection_start: "2024-06-17T15:00:00.000-05:00" }, [], { proration: true });
+    expect(result.chargeDays).toBe(0.5);
+    expect(result.chargeLabel).toBe("days");
+    expect(result.chargePeriodLabel).toBe("0.5 days");
+    expect(result.chargeAdjustments).toHaveLength(1);
+  });
+
+  it("accepts a custom policy", () => {
+    const dates = { delivery_start: "2024-06-17T15:00:00.000-05:00", collection_start: "2024-06-21T09:00:00.000-05:00" };
+    expect(getDuration(dates, [], { proration: { halfDayCutoff: "16:00" } }).chargeDays).toBe(4.5);
+    expect(getDuration(dates, [], { proration: { halfDayCutoff: null } }).chargeDays).toBe(5);
+    expect(getDuration({ ...dates, delivery_start: "2024-06-17T17:00:00.000-05:00" }, [], { proration: { offHours: false } }).chargeDays).toBe(4);
+  });
+
+  it("uses the calendar's business hours for off-hours boundaries", () => {
+    const calendar = createBusinessCalendar({ specialHours: [{ date: "2024-06-21", open: "10:00" }] });
+    const result = calendar.getDuration({ delivery_start: "2024-06-17T09:00:00.000-05:00", collection_start: "2024-06-21T09:30:00.000-05:00" }, [], { proration: true });
+    expect(result.chargeDays).toBe(4);
+    expect(result.chargeAdjustments[0].reason).toBe("end-off-hours");
+  });
+
+  it("throws error for an invalid policy", () => {
+    const dates = { delivery_start: "2024-06-17T15:00:00.000-05:00", collection_start: "2024-06-21T09:00:00.000-05:00" };
+    expect(() => getDuration(dates, [], { proration: "half" })).toThrow("proration must be true or a policy object");
+    expect(() => getDuration(dates, [], { proration: { halfDayCutoff: "noon" } })).toThrow('proration.halfDayCutoff must be an "HH:mm" time of day');
+  });
+});
+
+describe("explain mode", () => {
+
+  it("leaves the count unchanged and adds no ledger by default", () => {
+    const result = countCfsBusinessDays(new TZDate(2024, 6, 1, 9, 0, 0, "America/Chicago"), new TZDate(2024, 6, 8, 9, 0, 0, "America/Chicago"), holidays);
+    expect(result.ledger).toBeUndefined();
+    expect(result.excluded).toBeUndefined();
+  });
+
+  it("lists each day of a countCfsBusinessDays range with the reason it was excluded", () => {
+    // Wednesday July 3 → Monday July 8, 2024, with Independence Day on Thursday
+    const result = countCfsBusinessDays(new TZDate(2024, 6, 3, 9, 0, 0, "America/Chicago"), new TZDate(2024, 6, 8, 9, 0, 0, "America/Chicago"), holidays, { explain: true });
+    expect(result.days).toBe(3);
+    expect(result.ledger).toEqual([
+      { date: "2024-07-03", weekday: 3, chargeable: true, reason: null, holiday: null },
+      { date: "2024-07-04", weekday: 4, chargeable: false, reason: "holiday", holiday: "2024-07-04" },
+      { date: "2024-07-05", weekday: 5, chargeable: true, reason: null, holiday: null },
+      { date: "2024-07-06", weekday: 6, chargeable: false, reason: "weekend", holiday: null },
+      { date: "2024-07-07", weekday: 0, chargeable: false, reason: "weekend", holiday: null },
+      { date: "2024-07-08", weekday: 1, chargeable: true, reason: null, holiday: null },
+    ]);
+    expect(result.excluded).toEqual({ weekendDays: 2, holidayDays: 1 });
+  });
+
+  it("reports days outside the charge window in getDuration", () => {
+    const dates = {
+      delivery_start: new TZDate(2024, 6, 1, 9, 0, 0, "America/Chicago").toISOString(),
+      collection_start: new TZDate(2024, 6, 8, 9, 0, 0, "America/Chicago").toISOString(),
+      charge_start: new TZDate(2024, 6, 3, 9, 0, 0, "America/Chicago").toISOString(),
+    };
+    const result = getDuration(dates, holidays, { explain: true });
+    expect(result.chargeDays).toBe(3);
+    expect(result.ledger).toHaveLength(8);
+    expect(result.ledger[0]).toEqual({
+      date: "2024-07-01", weekday: 1, chargeable: false, reason: "outside-charge-window", holiday: null,
+      charge: 0, inActiveWindow: true, inChargeWindow: false,
+    });
+    expect(result.ledger.filter((entry) => entry.chargeable).map((entry) => entry.date)).toEqual(["2024-07-03", "2024-07-05", "2024-07-08"]);
+    expect(result.excluded).toEqual({ weekendDays: 2, holidayDays: 1, outsideChargeWindowDays: 2, offHireDays: 0 });
+  });
+
+  it("shows prorated boundary days with their share", () => {
+    const dates = { delivery_start: new TZDate(2024, 5, 17, 15, 0, 0, "America/Chicago").toISOString(), collection_start: new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago").toISOString() };
+    const result = getDuration(dates, [], { explain: true, proration: true });
+    expect(result.chargeDays).toBe(4);
+    expect(result.ledger.map((entry) => entry.charge)).toEqual([0.5, 1, 1, 1, 0.5]);
+    expect(result.ledger[0].reason).toBe("start-after-half-day-cutoff");
+    expect(result.ledger[4].reason).toBe("end-before-half-day-cutoff");
+    expect(result.ledger.reduce((sum, entry) => sum + entry.charge, 0)).toBe(result.chargeDays);
+  });
+
+  it("names the holiday entry and works on a bound calendar", () => {
+    const calendar = createBusinessCalendar({ holidays: ["2024-12-25"] });
+    const result = calendar.countCfsBusinessDays(new TZDate(2024, 11, 24, 9, 0, 0, "America/Chicago"), new TZDate(2024, 11, 26, 9, 0, 0, "America/Chicago"), undefined, { explain: true });
+    expect(result.ledger[1]).toMatchObject({ date: "2024-12-25", reason: "holiday", holiday: "2024-12-25" });
+  });
+});
+
+describe("getStartDateByChargePeriod", () => {
+  it("returns the latest start giving the charge period", () => {
+    // Friday June 21, 2024, back 5 chargeable days → Monday June 17
+    const end = new TZDate(2024, 5, 21, 16, 0, 0, "America/Chicago");
+    const result = getStartDateByChargePeriod(end, 5, []);
+    expect(result).toBeInstanceOf(TZDate);
+    expect(result.toISOString()).toBe(new TZDate(2024, 5, 17, 16, 0, 0, "America/Chicago").toISOString());
+  });
+
+  it("skips back over weekends and holidays", () => {
+    // Monday Jan 6, 2025 back 3: Jan 6, Jan 3, Jan 2 (Jan 1 is a holiday)
+    const end = new TZDate(2025, 0, 6, 9, 0, 0, "America/Chicago");
+    expect(getStartDateByChargePeriod(end, 3, ["2025-01-01"]).getDate()).toBe(2);
+    expect(getStartDateByChargePeriod(end, 4, ["2025-01-01"]).getDate()).toBe(31);
+  });
+
+  it("is the inverse of getEndDateByChargePeriod", () => {
+    const start = new TZDate(2024, 10, 25, 9, 0, 0, "America/Chicago");
+    for (const period of [1, 3, 5, 12]) {
+      const end = getEndDateByChargePeriod(start, period, holidays);
+      expect(getStartDateByChargePeriod(end, period, holidays).toISOString()).toBe(start.toISOString());
+    }
+  });
+
+  it("throws error for invalid arguments", () => {
+    const end = new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago");
+    expect(() => getStartDateByChargePeriod(null, 1, [])).toThrow("endDate not a valid date object");
+    expect(() => getStartDateByChargePeriod(end, 2.5, [])).toThrow("charge period must be a whole number");
+    expect(() => getStartDateByChargePeriod(end, 1, null)).toThrow("holidays must be an array");
+  });
+});
+
+describe("getCollectionDateRange", () => {
+  // Monday June 17, 2024
+  const start = new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago");
+  const day = (date) => date && date.getDate();
+
+  it("returns the collection dates giving a clean one-week charge", () => {
+    const result = getCollectionDateRange(start, 5, []);
+    // Friday June 21 through Sunday June 23 all charge 5 days
+    expect(result.chargeDays).toBe(5);
+    expect(day(result.earliest)).toBe(21);
+    expect(day(result.latest)).toBe(23);
+    expect(result.earliest.getHours()).toBe(9);
+    for (const date of [result.earliest, result.latest]) {
+      expect(countCfsBusinessDays(start, date, []).days).toBe(5);
+    }
+  });
+
+  it("extends the range over holidays", () => {
+    // July 3, 2024 (Wednesday), 1 day: July 3 until Independence Day is over
+    const result = getCollectionDateRange(new TZDate(2024, 6, 3, 9, 0, 0, "America/Chicago"), { chargeDays: 1 }, holidays);
+    expect(day(result.earliest)).toBe(3);
+    expect(day(result.latest)).toBe(4);
+  });
+
+  it("handles zero charge days", () => {
+    const saturday = new TZDate(2024, 5, 15, 9, 0, 0, "America/Chicago");
+    const result = getCollectionDateRange(saturday, 0, []);
+    expect(day(result.earliest)).toBe(15);
+    expect(day(result.latest)).toBe(16);
+    expect(getCollectionDateRange(start, 0, [])).toEqual({ chargeDays: 0, earliest: null, latest: null });
+  });
+
+  it("finds the longest rental a budget covers", () => {
+    // 3-day weeks at 100/day: 300/week; 700 buys 2 weeks (600) plus 1 day (100)
+    const result = getCollectionDateRange(start, { budget: 700, rateCard: { dayRate: 100 } }, []);
+    expect(result.chargeDays).toBe(11);
+    expect(result.charge.total).toBe(700);
+    expect(result.withinBudget).toBe(true);
+    expect(result.limited).toBe(false);
+    expect(day(result.earliest)).toBe(1);
+    expect(result.earliest.getMonth()).toBe(6);
+  });
+
+  it("takes the days a capped remainder makes free", () => {
+    // 9 days (a week plus 4 capped days) cost the same 600 as 10 days, so the longer rental wins
+    const result = getCollectionDateRange(start, { budget: 650, rateCard: { dayRate: 100 } }, []);
+    expect(result.chargeDays).toBe(10);
+  });
+
+  it("finds the longest rental under a rate card whose charge falls as days are added", () => {
+    // Uncapped days: 4 days cost 400 but a 5-day week costs 350, and 20 weeks (7000) cost less than 99 days (7050)
+    const rateCard = { dayRate: 100, weeklyRate: 350, capDaysAtWeeklyRate: false };
+    expect(getCollectionDateRange(start, { budget: 360, rateCard }, []).chargeDays).toBe(5);
+    expect(getCollectionDateRange(start, { budget: 7000, rateCard }, []).chargeDays).toBe(100);
+  });
+
+  it("reports a budget below the minimum charge or above the search limit", () => {
+    const short = getCollectionDateRange(start, { budget: 50, rateCard: { dayRate: 100, minimumDays: 1 } }, []);
+    expect(short.withinBudget).toBe(false);
+    expect(short.chargeDays).toBe(0);
+    const free = getCollectionDateRange(start, { budget: 0, rateCard: { dayRate: 0 } }, []);
+    expect(free.limited).toBe(true);
+  });
+
+  it("throws error for an invalid target", () => {
+    expect(() => getCollectionDateRange(start, -1, [])).toThrow("target must be a whole number of charge days");
+    expect(() => getCollectionDateRange(start, "5", [])).toThrow("target must be a whole number of charge days");
+    expect(() => getCollectionDateRange(start, { budget: -5, rateCard: { dayRate: 100 } }, [])).toThrow("target.budget must be a non-negative number");
+    expect(() => getCollectionDateRange(start, { budget: 500 }, [])).toThrow("rateCard must be a non-null object");
+  });
+});
+
+describe("getDuration charge segments", () => {
+  // Active Monday June 3 → Friday June 28, 2024: 20 business days
+  const dates = { delivery_start: "2024-06-03T09:00:00.000-05:00", collection_start: "2024-06-28T09:00:00.000-05:00" };
+
+  it("stops charging for off-hire intervals", () => {
+    // Two weeks on hiatus: June 10 → June 21
+    const result = getDuration({ ...dates, off_hire: [{ start: "2024-06-10T09:00:00.000-05:00", end: "2024-06-21T09:00:00.000-05:00" }] }, []);
+    expect(result.activeDays).toBe(20);
+    expect(result.chargeDays).toBe(10);
+    expect(result.chargePeriodLabel).toBe("2 weeks");
+    expect(result.chargeSegments).toEqual([
+      { start: "2024-06-03T09:00:00.000-05:00", end: new TZDate(2024, 5, 9, "America/Chicago").toISOString(), chargeDays: 5, chargeWeeks: 1, chargeLabel: "week", chargePeriodLabel: "1 week" },
+      { start: new TZDate(2024, 5, 22, "America/Chicago").toISOString(), end: "2024-06-28T09:00:00.000-05:00", chargeDays: 5, chargeWeeks: 1, chargeLabel: "week", chargePeriodLabel: "1 week" },
+    ]);
+  });
+
+  it("accepts explicit charge segments in any order", () => {
+    const result = getDuration({
+      ...dates,
+      charge_segments: [
+        { start: "2024-06-24T09:00:00.000-05:00", end: "2024-06-28T09:00:00.000-05:00" },
+        { start: "2024-06-03T09:00:00.000-05:00", end: "2024-06-05T09:00:00.000-05:00" },
+      ],
+    }, []);
+    expect(result.chargeDays).toBe(8);
+    expect(result.chargeSegments.map((segment) => segment.chargeDays)).toEqual([3, 5]);
+    expect(result.chargeSegments[0].start).toBe("2024-06-03T09:00:00.000-05:00");
+  });
+
+  it("charges nothing when off-hire covers the charge window", () => {
+    const result = getDuration({ ...dates, off_hire: [{ start: "2024-06-01T09:00:00.000-05:00", end: "2024-06-30T09:00:00.000-05:00" }] }, [], { proration: true });
+    expect(result.chargeDays).toBe(0);
+    expect(result.chargeSegments).toEqual([]);
+    expect(result.chargeAdjustments).toEqual([]);
+  });
+
+  it("prorates the outer boundaries only", () => {
+    const result = getDuration({
+      delivery_start: "2024-06-03T15:00:00.000-05:00",
+      collection_start: "2024-06-28T09:00:00.000-05:00",
+      off_hire: [{ start: "2024-06-10T09:00:00.000-05:00", end: "2024-06-21T09:00:00.000-05:00" }],
+    }, [], { proration: true });
+    expect(result.chargeDays).toBe(9);
+    expect(result.chargeSegments.map((segment) => segment.chargeDays)).toEqual([4.5, 4.5]);
+  });
+
+  it("marks off-hire days in the explain ledger", () => {
+    const result = getDuration({ ...dates, off_hire: [{ start: "2024-06-10T09:00:00.000-05:00", end: "2024-06-21T09:00:00.000-05:00" }] }, [], { explain: true });
+    const june12 = result.ledger.find((entry) => entry.date === "2024-06-12");
+    expect(june12).toMatchObject({ chargeable: false, reason: "off-hire", inChargeWindow: false });
+    expect(result.excluded).toEqual({ weekendDays: 4, holidayDays: 0, outsideChargeWindowDays: 0, offHireDays: 10 });
+  });
+
+  it("rejects overlapping or malformed segments", () => {
+    expect(() => getDuration({
+      ...dates,
+      charge_segments: [{ start: "2024-06-03T09:00:00.000-05:00", end: "2024-06-10T09:00:00.000-05:00" }, { start: "2024-06-10T14:00:00.000-05:00", end: "2024-06-14T09:00:00.000-05:00" }],
+    }, [])).toThrow("dates.charge_segments must not overlap");
+    expect(() => getDuration({
+      ...dates,
+      off_hire: [{ start: "2024-06-10T09:00:00.000-05:00", end: "2024-06-14T09:00:00.000-05:00" }, { start: "2024-06-12T09:00:00.000-05:00", end: "2024-06-18T09:00:00.000-05:00" }],
+    }, [])).toThrow("dates.off_hire must not overlap");
+    expect(() => getDuration({ ...dates, off_hire: [{ start: "2024-06-14T09:00:00.000-05:00", end: "2024-06-10T09:00:00.000-05:00" }] }, [])).toThrow("off_hire[0].end is before off_hire[0].start");
+    expect(() => getDuration({ ...dates, off_hire: [{ start: "soon", end: "2024-06-10T09:00:00.000-05:00" }] }, [])).toThrow("off_hire[0].start is not a valid date string");
+    expect(() => getDuration({ ...dates, off_hire: {} }, [])).toThrow("dates.off_hire must be an array");
+    expect(() => getDuration({ ...dates, off_hire: [], charge_segments: [] }, [])).toThrow("cannot be combined");
+  });
+});
+
+describe("getDuration billing cycles", () => {
+  const order = (delivery, collection) => ({ delivery_start: delivery, collection_start: collection });
+
+  it("splits a charge window into calendar months and leftover weeks and days", () => {
+    const duration = getDuration(order("2024-01-15T09:00:00-06:00", "2024-03-20T16:00:00-05:00"), ["2024-02-19"], { billingCycle: "monthly" });
+    expect(duration).toMatchObject({
+      chargeDays: 47,
+      billingCycle: "monthly",
+      chargeMonths: 2,
+      chargeRemainderWeeks: 0,
+      chargeRemainderDays: 4,
+      nextBillingDate: "2024-04-15T09:00:00.000-05:00",
+    });
+  });
+
+  it("completes a month when the window reaches the day before the anniversary", () => {
+    expect(getDuration(order("2024-01-15T09:00:00-06:00", "2024-02-14T16:00:00-06:00"), [], { billingCycle: "monthly" })).toMatchObject({
+      chargeMonths: 1,
+      chargeRemainderWeeks: 0,
+      chargeRemainderDays: 0,
+      nextBillingDate: "2024-02-15T09:00:00.000-06:00",
+    });
+    expect(getDuration(order("2024-01-15T09:00:00-06:00", "2024-02-13T16:00:00-06:00"), [], { billingCycle: "monthly" })).toMatchObject({
+      chargeMonths: 0,
+      chargeRemainderWeeks: 4,
+      chargeRemainderDays: 2,
+    });
+  });
+
+  it("counts 4-week rental months", () => {
+    expect(getDuration(order("2024-01-31T09:00:00-06:00", "2024-03-05T16:00:00-06:00"), [], { billingCycle: "4-weekly" })).toMatchObject({
+      chargeMonths: 1,
+      chargeRemainderWeeks: 1,
+      chargeRemainderDays: 0,
+      nextBillingDate: "2024-03-27T09:00:00.000-05:00",
+    });
+  });
+
+  it("rolls the next billing date past weekends and holidays", () => {
+    // June 15 2024 is a Saturday
+    expect(getDuration(order("2024-05-15T09:00:00-05:00", "2024-05-31T16:00:00-05:00"), [], { billingCycle: "monthly" }).nextBillingDate).toBe(
+      "2024-06-17T09:00:00.000-05:00"
+    );
+    // Four weeks from Thursday June 6 is the July 4 holiday
+    expect(getDuration(order("2024-06-06T09:00:00-05:00", "2024-06-20T16:00:00-05:00"), holidays, { billingCycle: "4-weekly" }).nextBillingDate).toBe(
+      "2024-07-05T09:00:00.000-05:00"
+    );
+  });
+
+  it("uses charge_start and charge_end when given", () => {
+    const dates = { ...order("2024-01-10T09:00:00-06:00", "2024-03-01T16:00:00-06:00"), charge_start: "2024-01-15T09:00:00-06:00" };
+    expect(getDuration(dates, [], { billingCycle: "monthly" })).toMatchObject({ chargeMonths: 1, nextBillingDate: "2024-03-15T09:00:00.000-05:00" });
+  });
+
+  it("rejects unknown cycles and combinations it can't bill", () => {
+    const dates = order("2024-01-15T09:00:00-06:00", "2024-03-20T16:00:00-05:00");
+    expect(() => getDuration(dates, [], { billingCycle: "yearly" })).toThrow(expect.objectContaining({ name: "InvalidArgumentError", field: "billingCycle" }));
+    expect(() => getDuration(dates, [], { billingCycle: "monthly", proration: true })).toThrow(expect.objectContaining({ field: "billingCycle" }));
+    expect(() => getDuration({ ...dates, off_hire: [] }, [], { billingCycle: "monthly" })).toThrow(expect.objectContaining({ field: "billingCycle" }));
+  });
+});
+
+describe("reversed and long ranges", () => {
+
+  it("counts a reversed range as the forward range negated", () => {
+    expect(countCfsBusinessDays(new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago"), new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), [])).toEqual({
+      calendarDays: -5,
+      calendarWeeks: -1,
+      days: -5,
+      weeks: -1,
+      label: "",
+      periodLabel: "",
+    });
+    const forward = countCfsBusinessDays(new TZDate(2024, 5, 3, 9, 0, 0, "America/Chicago"), new TZDate(2024, 5, 28, 9, 0, 0, "America/Chicago"), ["2024-06-19"]);
+    const reversed = countCfsBusinessDays(new TZDate(2024, 5, 28, 9, 0, 0, "America/Chicago"), new TZDate(2024, 5, 3, 9, 0, 0, "America/Chicago"), ["2024-06-19"]);
+    expect(reversed.days).toBe(-forward.days);
+    expect(reversed.calendarDays).toBe(-forward.calendarDays);
+    expect(countCfsBusinessDays(new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago"), new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), [], { explain: true }).ledger).toHaveLength(5);
+  });
+
+  it("counts an end earlier on the same day as that day", () => {
+    expect(countCfsBusinessDays(new TZDate(2024, 5, 17, 14, 0, 0, "America/Chicago"), new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), []).days).toBe(1);
+  });
+
+  it("throws for reversed ranges with strict", () => {
+    expect(() => countCfsBusinessDays(new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago"), new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), [], { strict: true })).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", field: "end", message: "end is before start" })
+    );
+    expect(() => countCfsBusinessDays(new TZDate(2024, 5, 17, 14, 0, 0, "America/Chicago"), new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), [], { strict: true })).toThrow(InvalidArgumentError);
+    expect(countCfsBusinessDays(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago"), [], { strict: true }).days).toBe(5);
+  });
+
+  it("gives getDuration signed counts, or typed errors with strict", () => {
+    const reversed = { delivery_start: new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago").toISOString(), collection_start: new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago").toISOString() };
+    expect(getDuration(reversed, [])).toMatchObject({ activeDays: -5, chargeDays: -5, activeLabel: "" });
+    expect(() => getDuration(reversed, [], { strict: true })).toThrow(expect.objectContaining({ field: "collection_start" }));
+
+    const chargeReversed = {
+      delivery_start: new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago").toISOString(),
+      collection_start: new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago").toISOString(),
+      charge_start: new TZDate(2024, 5, 20, 9, 0, 0, "America/Chicago").toISOString(),
+      charge_end: new TZDate(2024, 5, 18, 9, 0, 0, "America/Chicago").toISOString(),
+    };
+    expect(() => getDuration(chargeReversed, [], { strict: true })).toThrow(expect.objectContaining({ field: "charge_end" }));
+  });
+
+  it("rejects reversed windows with proration instead of clamping them to 0", () => {
+    const reversed = { delivery_start: new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago").toISOString(), collection_start: new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago").toISOString() };
+    expect(() => getDuration(reversed, [], { proration: true })).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", field: "collection_start" })
+    );
+    const chargeReversed = {
+      delivery_start: new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago").toISOString(),
+      collection_start: new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago").toISOString(),
+      charge_start: new TZDate(2024, 5, 20, 9, 0, 0, "America/Chicago").toISOString(),
+      charge_end: new TZDate(2024, 5, 18, 9, 0, 0, "America/Chicago").toISOString(),
+    };
+    expect(() => getDuration(chargeReversed, [], { proration: true })).toThrow(expect.objectContaining({ field: "charge_end" }));
+    const sameDay = { delivery_start: new TZDate(2024, 5, 17, 14, 0, 0, "America/Chicago").toISOString(), collection_start: new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago").toISOString() };
+    expect(getDuration(sameDay, [], { proration: true }).chargeDays).toBe(0.5);
+  });
+
+  it("counts multi-decade ranges in closed form", () => {
+    // 3652 whole weeks from a Monday, less the four weekday holidays of 2024
+    const start = new TZDate(2000, 0, 3, "America/Chicago");
+    const end = new TZDate(2000, 0, 3 + 3652 * 7 - 1, "America/Chicago");
+    expect(countCfsBusinessDays(start, end, holidays).days).toBe(3652 * 5 - 4);
+  });
+
+  it("rejects ranges longer than maxSpanDays", () => {
+    expect(() => countCfsBusinessDays(new TZDate(2024, 5, 1, 9, 0, 0, "America/Chicago"), new TZDate(2025, 6, 1, "America/Chicago"), [], { maxSpanDays: 366 })).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", field: "end" })
+    );
+    expect(() => countCfsBusinessDays(new TZDate(1900, 0, 1, "America/Chicago"), new TZDate(2024, 5, 1, 9, 0, 0, "America/Chicago"), [])).toThrow(InvalidArgumentError);
+    expect(() => countCfsBusinessDays(new TZDate(2024, 5, 1, 9, 0, 0, "America/Chicago"), new TZDate(2024, 5, 2, 9, 0, 0, "America/Chicago"), [], { maxSpanDays: 0 })).toThrow(expect.objectContaining({ field: "maxSpanDays" }));
+    const dates = { delivery_start: new TZDate(2024, 5, 1, 9, 0, 0, "America/Chicago").toISOString(), collection_start: "2030-06-01T09:00:00-05:00" };
+    expect(() => getDuration(dates, [], { maxSpanDays: 1000 })).toThrow(expect.objectContaining({ field: "collection_start" }));
+    expect(() => getEndDateByChargePeriod(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), 500, [], { maxSpanDays: 400 })).toThrow(expect.objectContaining({ field: "chargePeriod" }));
+    expect(() => getCollectionDateRange(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), 500, [], { maxSpanDays: 400 })).toThrow(expect.objectContaining({ field: "target" }));
+  });
+
+  it("stops getEndDateByChargePeriod when holidays cover every working day", () => {
+    const mondaysOnly = createBusinessCalendar({ workingDays: [1] });
+    const everyMonday = Array.from({ length: 600 }, (_, week) => new TZDate(2024, 5, 17 + week * 7, "America/Chicago").toISOString().slice(0, 10));
+    expect(() => getEndDateByChargePeriod(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), 1, everyMonday, { calendar: mondaysOnly })).toThrow(SearchLimitError);
+  });
+});
+
+describe("DST transitions 2020-2035", () => {
+  const ZONE = "America/Chicago";
+  const key = (date) => new TZDate(+date, ZONE).toISOString().slice(0, 10);
+  // Every America/Chicago offset change from 2020 through 2035, each on a Sunday at 2am
+  const transitions = tzScan(ZONE, { start: new Date("2020-01-01T00:00:00Z"), end: new Date("2036-01-01T00:00:00Z") }).map(({ date, change }) => {
+    const sunday = new TZDate(+date, ZONE);
+    const at = (days, hours, minutes = 0) => new TZDate(sunday.getFullYear(), sunday.getMonth(), sunday.getDate() + days, hours, minutes, ZONE);
+    return [`${key(sunday)} (${change > 0 ? "spring forward" : "fall back"})`, at];
+  });
+
+  it("covers two changes a year", () => {
+    expect(transitions).toHaveLength(32);
+  });
+
+  it.each(transitions)("%s: moving by business days keeps the Chicago wall-clock time", (name, at) => {
+    const friday = new Date(+at(-2, 9));
+    const monday = at(1, 9);
+
+    const next = nextBusinessDay(friday, []);
+    expect(next).not.toBeInstanceOf(TZDate);
+    expect(+next).toBe(+monday);
+    expect(+addBusinessDays(friday, 1, [])).toBe(+monday);
+    expect(+previousBusinessDay(new Date(+monday), [])).toBe(+friday);
+    expect(+getEndDateByChargePeriod(friday, 2, [])).toBe(+monday);
+    expect(+getStartDateByChargePeriod(new Date(+monday), 2, [])).toBe(+friday);
+
+    const range = getCollectionDateRange(friday, 2, []);
+    expect(+range.earliest).toBe(+monday);
+    expect(+range.latest).toBe(+monday);
+
+    // TZDates in another zone move by Chicago days too, and keep their zone
+    const utcFriday = new TZDate(+friday, "UTC");
+    const utcNext = nextBusinessDay(utcFriday, []);
+    expect(utcNext.timeZone).toBe("UTC");
+    expect(+utcNext).toBe(+monday);
+  });
+
+  it.each(transitions)("%s: days near midnight fall on their Chicago calendar day", (name, at) => {
+    const holiday = key(at(1, 12));
+    const sundayLate = new Date(+at(0, 23, 30));
+    const mondayEarly = new Date(+at(1, 0, 30));
+
+    expect(isHoliday(sundayLate, [holiday])).toBe(false);
+    expect(isHoliday(mondayEarly, [holiday])).toBe(true);
+    expect(isHoliday(mondayEarly, compileHolidays([holiday]))).toBe(true);
+    expect(isBusinessDay(sundayLate, [])).toBe(false);
+    expect(isBusinessDay(mondayEarly, [])).toBe(true);
+
+    const count = countCfsBusinessDays(new Date(+at(-2, 23, 30)), mondayEarly, []);
+    expect(count.calendarDays).toBe(4);
+    expect(count.days).toBe(2);
+  });
+
+  it.each(transitions)("%s: getDuration agrees across mixed-offset and date-only strings", (name, at) => {
+    const friday = at(-2, 9);
+    const monday = at(1, 0, 30);
+    const expected = { activeDays: 2, chargeDays: 2 };
+
+    const variants = [
+      { delivery_start: friday.toISOString(), collection_start: monday.toISOString() },
+      { delivery_start: new Date(+friday).toISOString(), collection_start: new Date(+monday).toISOString() },
+      { delivery_start: key(friday), collection_start: key(monday) },
+      { delivery_start: key(friday), collection_start: new TZDate(+monday, "Asia/Tokyo").toISOString() },
+      { delivery_start: new TZDate(+friday, "Europe/London").toISOString(), collection_start: key(monday) },
+    ];
+    for (const dates of variants) {
+      expect(getDuration(dates, [])).toMatchObject(expected);
+    }
+  });
+});
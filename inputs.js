@@ -0,0 +1,108 @@
+/**
+ * @cfs/date-helpers - date inputs and outputs
+ *
+ * The one place date arguments are coerced, so every helper accepts the same values:
+ * Date and TZDate objects, ISO datetime strings (any offset), "YYYY-MM-DD" strings,
+ * epoch milliseconds, and Firestore Timestamps (or their `{ seconds, nanoseconds }` JSON).
+ * Strings without an offset, including date-only ones, are read in the calendar's time zone.
+ */
+
+import { isValid, parseISO } from "date-fns";
+import { TZDate, tz } from "@date-fns/tz";
+
+import { InvalidArgumentError, InvalidDateError } from "./errors.js";
+
+const RETURN_TYPES = ["date", "tzdate", "iso"];
+
+/**
+ * A date argument: a Date or TZDate, an ISO datetime or "YYYY-MM-DD" string, epoch milliseconds,
+ * or a Firestore Timestamp. Helpers that return a moved date give back a Date or TZDate input's
+ * own type, and a TZDate in the calendar's time zone for the rest.
+ * @typedef {Date|string|number|object} DateInput
+ */
+
+/**
+ * Read the epoch milliseconds of a Firestore-Timestamp-like object
+ * Accepts a Timestamp, its `{ seconds, nanoseconds }` shape, and the `{ _seconds, _nanoseconds }`
+ * shape the Admin SDK serializes to JSON.
+ * @param {object} value - Candidate timestamp
+ * @returns {number|null} Epoch milliseconds, or null if value is not a timestamp
+ */
+function timestampMillis(value) {
+  const seconds = value.seconds !== undefined ? value.seconds : value._seconds;
+  const nanoseconds = value.nanoseconds !== undefined ? value.nanoseconds : value._nanoseconds;
+  if (!Number.isFinite(seconds) || !Number.isFinite(nanoseconds === undefined ? 0 : nanoseconds)) {
+    return null;
+  }
+  return seconds * 1000 + Math.floor((nanoseconds || 0) / 1e6);
+}
+
+/**
+ * Coerce a date input without throwing
+ * Date and TZDate objects are returned as they are, so helpers that move a date can keep its type;
+ * everything else becomes a TZDate in the calendar's time zone.
+ * @param {*} value - Date, TZDate, ISO string, "YYYY-MM-DD", epoch milliseconds, or timestamp object
+ * @param {string} timeZone - Calendar time zone
+ * @returns {object|null} Valid date object, or null if value is not a date input
+ */
+export function toDateInput(value, timeZone) {
+  let date = null;
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === "string") {
+    date = parseISO(value.trim(), { in: tz(timeZone) });
+  } else if (typeof value === "number") {
+    date = Number.isFinite(value) ? new TZDate(value, timeZone) : null;
+  } else if (value && typeof value === "object") {
+    const millis = timestampMillis(value);
+    date = millis === null ? null : new TZDate(millis, timeZone);
+  }
+  return date && isValid(date) ? date : null;
+}
+
+/**
+ * Coerce a date input, throwing if it isn't one
+ * @param {*} value - Date, TZDate, ISO string, "YYYY-MM-DD", epoch milliseconds, or timestamp object
+ * @param {string} field - Argument name for the error
+ * @param {string} timeZone - Calendar time zone
+ * @param {string} [message] - Error message, defaults to "<field> must be a valid date"
+ * @returns {object} Valid date object (see toDateInput)
+ * @throws {InvalidDateError} If value is not a date input
+ */
+export function parseDateInput(value, field, timeZone, message = `${field} must be a valid date`) {
+  const date = toDateInput(value, timeZone);
+  if (!date) {
+    throw new InvalidDateError(message, { field, value });
+  }
+  return date;
+}
+
+/**
+ * Throw unless options.returnAs is unset or a known output type
+ * @param {object} options - Helper options
+ * @throws {InvalidArgumentError} If returnAs is invalid
+ */
+export function assertReturnAs(options) {
+  if (options.returnAs !== undefined && !RETURN_TYPES.includes(options.returnAs)) {
+    throw new InvalidArgumentError(`returnAs must be one of: ${RETURN_TYPES.join(", ")}`, { field: "returnAs", value: options.returnAs });
+  }
+}
+
+/**
+ * Convert a helper's date result to the type asked for by options.returnAs
+ * @param {object|null} date - Result date, or null
+ * @param {string} timeZone - Calendar time zone
+ * @param {object} options - Helper options, with optional returnAs
+ * @returns {object|string|null} The date unchanged without returnAs; a plain Date for "date", a TZDate in the
+ *   calendar's time zone for "tzdate", or an ISO string with the calendar's offset for "iso"
+ */
+export function formatDateOutput(date, timeZone, options) {
+  if (date === null || options.returnAs === undefined) {
+    return date;
+  }
+  if (options.returnAs === "date") {
+    return new Date(+date);
+  }
+  const local = new TZDate(+date, timeZone);
+  return options.returnAs === "iso" ? local.toISOString() : local;
+}
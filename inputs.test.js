@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest";
+import { TZDate } from "@date-fns/tz";
+import { formatDateOutput, parseDateInput, toDateInput } from "./inputs.js";
+import {
+  addBusinessDays,
+  countCfsBusinessDays,
+  createBusinessCalendar,
+  getDuration,
+  getEndDateByChargePeriod,
+  InvalidArgumentError,
+  InvalidDateError,
+  isHoliday,
+  isOffHours,
+  validateOrderDates,
+} from "./index.js";
+
+const ZONE = "America/Chicago";
+
+describe("toDateInput", () => {
+  it("returns Date and TZDate objects as they are", () => {
+    const date = new Date("2024-06-17T14:00:00Z");
+    const local = new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago");
+    expect(toDateInput(date, ZONE)).toBe(date);
+    expect(toDateInput(local, ZONE)).toBe(local);
+  });
+
+  it("reads ISO strings as instants and offset-less strings in the calendar's zone", () => {
+    expect(+toDateInput("2024-06-17T14:00:00Z", ZONE)).toBe(+new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"));
+    expect(+toDateInput("2024-06-17T09:00:00-05:00", ZONE)).toBe(+new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"));
+    expect(+toDateInput("2024-06-17T09:00", ZONE)).toBe(+new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"));
+    expect(+toDateInput("2024-06-17", ZONE)).toBe(+new TZDate(2024, 5, 17, 0, 0, 0, "America/Chicago"));
+    expect(toDateInput("2024-06-17", ZONE).timeZone).toBe(ZONE);
+  });
+
+  it("reads epoch milliseconds and Firestore timestamps", () => {
+    const millis = +new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago");
+    expect(+toDateInput(millis, ZONE)).toBe(millis);
+    expect(+toDateInput({ seconds: millis / 1000, nanoseconds: 250000000 }, ZONE)).toBe(millis + 250);
+    expect(+toDateInput({ _seconds: millis / 1000, _nanoseconds: 0 }, ZONE)).toBe(millis);
+    expect(+toDateInput({ seconds: millis / 1000 }, ZONE)).toBe(millis);
+  });
+
+  it("returns null for values that are not dates", () => {
+    for (const value of ["soon", "", NaN, Infinity, true, null, undefined, {}, { seconds: "1" }, new Date(NaN)]) {
+      expect(toDateInput(value, ZONE)).toBeNull();
+    }
+  });
+
+  it("parseDateInput throws InvalidDateError with the field", () => {
+    expect(() => parseDateInput("soon", "start", ZONE)).toThrow(expect.objectContaining({ name: "InvalidDateError", field: "start", value: "soon" }));
+  });
+});
+
+describe("formatDateOutput", () => {
+  const date = new Date("2024-06-17T14:00:00Z");
+
+  it("leaves the date alone without returnAs", () => {
+    expect(formatDateOutput(date, ZONE, {})).toBe(date);
+    expect(formatDateOutput(null, ZONE, { returnAs: "iso" })).toBeNull();
+  });
+
+  it("converts to each returnAs type", () => {
+    const plain = formatDateOutput(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), ZONE, { returnAs: "date" });
+    expect(plain).not.toBeInstanceOf(TZDate);
+    expect(+plain).toBe(+date);
+    const local = formatDateOutput(date, ZONE, { returnAs: "tzdate" });
+    expect(local).toBeInstanceOf(TZDate);
+    expect(local.timeZone).toBe(ZONE);
+    expect(formatDateOutput(date, ZONE, { returnAs: "iso" })).toBe("2024-06-17T09:00:00.000-05:00");
+  });
+});
+
+describe("date inputs in exported helpers", () => {
+  const holidays = ["2024-06-19"];
+
+  it("accepts strings where date objects used to be required", () => {
+    expect(isHoliday("2024-06-19", holidays)).toBe(true);
+    expect(isHoliday("2024-06-19T23:30:00-05:00", holidays)).toBe(true);
+    expect(isOffHours("2024-06-17T06:00:00-05:00")).toBe(true);
+    expect(countCfsBusinessDays("2024-06-17", "2024-06-21T16:00:00-05:00", holidays).days).toBe(4);
+    expect(+getEndDateByChargePeriod("2024-06-17T09:00:00-05:00", 5, holidays)).toBe(+new TZDate(2024, 5, 24, 9, 0, 0, "America/Chicago"));
+  });
+
+  it("accepts epoch milliseconds and timestamps", () => {
+    const timestamp = { seconds: +new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago") / 1000, nanoseconds: 0 };
+    expect(isHoliday(+new TZDate(2024, 5, 19, 12, 0, 0, "America/Chicago"), holidays)).toBe(true);
+    expect(+addBusinessDays(timestamp, 2, holidays)).toBe(+new TZDate(2024, 5, 20, 9, 0, 0, "America/Chicago"));
+    expect(getDuration({ delivery_start: timestamp, collection_start: +new TZDate(2024, 5, 21, 14, 0, 0, "America/Chicago") }, holidays)).toMatchObject({ chargeDays: 4 });
+    expect(validateOrderDates({ delivery_start: timestamp, collection_start: "2024-06-21T14:00:00-05:00" }, holidays).valid).toBe(true);
+  });
+
+  it("returns the input's type by default and a calendar TZDate for other inputs", () => {
+    const date = new Date("2024-06-17T14:00:00Z");
+    const result = addBusinessDays(date, 1, holidays);
+    expect(result).toBeInstanceOf(Date);
+    expect(result).not.toBeInstanceOf(TZDate);
+    const fromString = addBusinessDays("2024-06-17T09:00:00-05:00", 1, holidays);
+    expect(fromString).toBeInstanceOf(TZDate);
+    expect(fromString.timeZone).toBe(ZONE);
+  });
+
+  it("returns the type asked for by returnAs", () => {
+    expect(getEndDateByChargePeriod("2024-06-17T09:00:00-05:00", 5, holidays, { returnAs: "iso" })).toBe("2024-06-24T09:00:00.000-05:00");
+    expect(addBusinessDays(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), 1, holidays, { returnAs: "date" })).not.toBeInstanceOf(TZDate);
+    const calendar = createBusinessCalendar({ holidays });
+    expect(calendar.nextBusinessDay("2024-06-18T09:00:00-05:00", undefined, { returnAs: "iso" })).toBe("2024-06-20T09:00:00.000-05:00");
+  });
+
+  it("throws typed errors for unknown returnAs values and bad inputs", () => {
+    expect(() => addBusinessDays(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), 1, holidays, { returnAs: "string" })).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", field: "returnAs" })
+    );
+    expect(() => getEndDateByChargePeriod(new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago"), 5, holidays, { returnAs: "moment" })).toThrow(InvalidArgumentError);
+    expect(() => isHoliday("next week", holidays)).toThrow(InvalidDateError);
+  });
+});
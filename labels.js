@@ -0,0 +1,177 @@
+/**
+ * @cfs/date-helpers - period labels
+ *
+ * Formats a number of business days as a readable period ("1 week, 2 days", "1w 2d",
+ * "1 semana y 2 días"). Unit words and plurals come from Intl.NumberFormat's unit style,
+ * so any locale the runtime knows gets correct plural forms and number formatting.
+ */
+
+import { InvalidArgumentError } from "./errors.js";
+
+const UNITS = ["mixed", "day", "week", "month"];
+const ROUNDING_MODES = ["none", "up", "down", "nearest"];
+const STYLES = { long: "long", short: "narrow" };
+
+/**
+ * Default label settings
+ */
+export const DEFAULT_LABEL_OPTIONS = Object.freeze({
+  locale: "en-US",
+  style: "long",
+  unit: "mixed",
+  months: false,
+  rounding: "none",
+  daysPerWeek: 5,
+  daysPerMonth: 20,
+  zeroLabel: null,
+});
+
+const formatters = new Map();
+
+/**
+ * Get a cached unit formatter
+ * @param {string} locale - BCP 47 locale
+ * @param {string} unit - "day", "week" or "month"
+ * @param {string} display - Intl unitDisplay
+ * @returns {Intl.NumberFormat}
+ */
+function getUnitFormatter(locale, unit, display) {
+  const key = `${locale}|${unit}|${display}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, { style: "unit", unit, unitDisplay: display, maximumFractionDigits: 2 }));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Validate label options and fill in defaults
+ * @param {object} options - Label options
+ * @returns {object} Options with every field set
+ * @throws {InvalidArgumentError} If an option is invalid
+ */
+function normalizeLabelOptions(options) {
+  if (!options || typeof options !== "object") {
+    throw new InvalidArgumentError("label options must be an object", { field: "options", value: options });
+  }
+  const settings = { ...DEFAULT_LABEL_OPTIONS, ...options };
+  if (!Object.hasOwn(STYLES, settings.style)) {
+    throw new InvalidArgumentError(`style must be one of: ${Object.keys(STYLES).join(", ")}`, { field: "style", value: settings.style });
+  }
+  if (!UNITS.includes(settings.unit)) {
+    throw new InvalidArgumentError(`unit must be one of: ${UNITS.join(", ")}`, { field: "unit", value: settings.unit });
+  }
+  if (!ROUNDING_MODES.includes(settings.rounding)) {
+    throw new InvalidArgumentError(`rounding must be one of: ${ROUNDING_MODES.join(", ")}`, { field: "rounding", value: settings.rounding });
+  }
+  for (const field of ["daysPerWeek", "daysPerMonth"]) {
+    if (!Number.isInteger(settings[field]) || settings[field] < 1) {
+      throw new InvalidArgumentError(`${field} must be a whole number of at least 1`, { field, value: settings[field] });
+    }
+  }
+  try {
+    getUnitFormatter(settings.locale, "day", STYLES[settings.style]);
+  } catch {
+    throw new InvalidArgumentError("locale must be a valid BCP 47 locale", { field: "locale", value: settings.locale });
+  }
+  return settings;
+}
+
+/**
+ * Round a number of days to whole weeks
+ * @param {number} days - Business days
+ * @param {string} rounding - "none", "up", "down" or "nearest"
+ * @param {number} daysPerWeek - Business days in a week
+ * @returns {number} Rounded days
+ */
+function roundToWeeks(days, rounding, daysPerWeek) {
+  const weeks = days / daysPerWeek;
+  if (rounding === "up") {
+    return Math.ceil(weeks) * daysPerWeek;
+  }
+  if (rounding === "down") {
+    return Math.floor(weeks) * daysPerWeek;
+  }
+  if (rounding === "nearest") {
+    return Math.round(weeks) * daysPerWeek;
+  }
+  return days;
+}
+
+/**
+ * Split a number of days into the parts to print
+ * @param {number} days - Business days
+ * @param {object} settings - Normalized label options
+ * @returns {Array<{ unit: string, value: number }>} Non-zero parts, largest unit first
+ */
+function splitPeriod(days, settings) {
+  if (settings.unit === "day") {
+    return [{ unit: "day", value: days }];
+  }
+  if (settings.unit === "week") {
+    return [{ unit: "week", value: days / settings.daysPerWeek }];
+  }
+  if (settings.unit === "month") {
+    return [{ unit: "month", value: days / settings.daysPerMonth }];
+  }
+
+  const months = settings.months ? Math.floor(days / settings.daysPerMonth) : 0;
+  let rest = days - months * settings.daysPerMonth;
+  const weeks = Math.floor(rest / settings.daysPerWeek);
+  // Strip float noise left by fractional (prorated) days
+  rest = Number((rest - weeks * settings.daysPerWeek).toFixed(9));
+
+  return [
+    { unit: "month", value: months },
+    { unit: "week", value: weeks },
+    { unit: "day", value: rest },
+  ].filter(({ value }) => value > 0);
+}
+
+/**
+ * Format a number of business days as a period label
+ * @param {number} days - Business days, may be fractional
+ * @param {object} [options]
+ * @param {string} [options.locale] - BCP 47 locale, e.g. "es" (default "en-US")
+ * @param {"long"|"short"} [options.style] - "1 week, 2 days" or "1w 2d" (default "long")
+ * @param {"mixed"|"day"|"week"|"month"} [options.unit] - Mixed units, or a single unit with up to
+ *   two decimals, e.g. "1.4 weeks" (default "mixed")
+ * @param {boolean} [options.months] - Include months in mixed labels (default false)
+ * @param {"none"|"up"|"down"|"nearest"} [options.rounding] - Round to whole weeks first (default "none")
+ * @param {number} [options.daysPerWeek] - Business days in a week (default 5)
+ * @param {number} [options.daysPerMonth] - Business days in a month (default 20)
+ * @param {string} [options.zeroLabel] - periodLabel for zero days, defaults to the localized "0 days"
+ * @returns {{ label: string, periodLabel: string, parts: Array<{ unit: string, value: number }> }}
+ *   label is the word for the largest unit, pluralized for the whole period in that unit (7 days is 1.4 "weeks"),
+ *   and empty for zero days
+ * @throws {InvalidArgumentError} If days is not a non-negative number or an option is invalid
+ */
+export function formatPeriod(days, options = {}) {
+  if (typeof days !== "number" || !Number.isFinite(days) || days < 0) {
+    throw new InvalidArgumentError("days must be a non-negative number", { field: "days", value: days });
+  }
+  const settings = normalizeLabelOptions(options);
+  const display = STYLES[settings.style];
+
+  const rounded = roundToWeeks(days, settings.rounding, settings.daysPerWeek);
+  const parts = splitPeriod(rounded, settings);
+  const printed = parts.length ? parts : [{ unit: settings.unit === "mixed" ? "day" : settings.unit, value: 0 }];
+
+  const texts = printed.map(({ unit, value }) => getUnitFormatter(settings.locale, unit, display).format(value));
+  // Pluralized for the whole period in the largest unit, so 7 days is "weeks" (1.4 weeks), not "week"
+  const unitDays = { day: 1, week: settings.daysPerWeek, month: settings.daysPerMonth };
+  const largest = printed[0].unit;
+  const label = parts.length
+    ? getUnitFormatter(settings.locale, largest, display)
+      .formatToParts(rounded / unitDays[largest])
+      .filter(({ type }) => type === "unit")
+      .map(({ value }) => value)
+      .join("")
+    : "";
+
+  let periodLabel = new Intl.ListFormat(settings.locale, { type: "unit", style: display }).format(texts);
+  if (!parts.length && settings.zeroLabel !== null) {
+    periodLabel = settings.zeroLabel;
+  }
+
+  return { label, periodLabel, parts };
+}
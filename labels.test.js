@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { TZDate } from "@date-fns/tz";
+import { formatPeriod } from "./labels.js";
+import { countCfsBusinessDays, getDuration } from "./index.js";
+
+describe("formatPeriod", () => {
+  it("uses mixed units by default", () => {
+    expect(formatPeriod(7)).toEqual({ label: "weeks", periodLabel: "1 week, 2 days", parts: [{ unit: "week", value: 1 }, { unit: "day", value: 2 }] });
+    expect(formatPeriod(10).periodLabel).toBe("2 weeks");
+    expect(formatPeriod(1).periodLabel).toBe("1 day");
+    expect(formatPeriod(6.5).periodLabel).toBe("1 week, 1.5 days");
+  });
+
+  it("labels zero days", () => {
+    expect(formatPeriod(0)).toEqual({ label: "", periodLabel: "0 days", parts: [] });
+    expect(formatPeriod(0, { zeroLabel: "Same day" }).periodLabel).toBe("Same day");
+  });
+
+  it("pluralizes label like the baseline countCfsBusinessDays labels", () => {
+    expect([1, 2, 4, 5, 6, 9, 10].map((days) => formatPeriod(days).label)).toEqual(["day", "days", "days", "week", "weeks", "weeks", "weeks"]);
+    expect(formatPeriod(7, { unit: "week" }).label).toBe("weeks");
+    expect(formatPeriod(5, { rounding: "up" }).label).toBe("week");
+    expect(formatPeriod(21, { months: true }).label).toBe("months");
+  });
+
+  it("prints a single unit with decimals", () => {
+    expect(formatPeriod(7, { unit: "week" }).periodLabel).toBe("1.4 weeks");
+    expect(formatPeriod(7, { unit: "day" }).periodLabel).toBe("7 days");
+    expect(formatPeriod(30, { unit: "month" }).periodLabel).toBe("1.5 months");
+  });
+
+  it("rounds to whole weeks", () => {
+    expect(formatPeriod(7, { rounding: "up" }).periodLabel).toBe("2 weeks");
+    expect(formatPeriod(7, { rounding: "down" }).periodLabel).toBe("1 week");
+    expect(formatPeriod(7, { rounding: "nearest" }).periodLabel).toBe("1 week");
+    expect(formatPeriod(8, { rounding: "nearest", unit: "week" }).periodLabel).toBe("2 weeks");
+  });
+
+  it("includes months for long-term rentals", () => {
+    expect(formatPeriod(47, { months: true }).periodLabel).toBe("2 months, 1 week, 2 days");
+    expect(formatPeriod(47, { months: true, daysPerMonth: 22 }).periodLabel).toBe("2 months, 3 days");
+    expect(formatPeriod(47, { months: true }).label).toBe("months");
+  });
+
+  it("prints short forms", () => {
+    expect(formatPeriod(7, { style: "short" }).periodLabel).toBe("1w 2d");
+    expect(formatPeriod(47, { style: "short", months: true }).periodLabel).toBe("2m 1w 2d");
+  });
+
+  it("localizes words, plurals and numbers", () => {
+    expect(formatPeriod(7, { locale: "es" }).periodLabel).toBe("1 semana y 2 días");
+    expect(formatPeriod(1, { locale: "es" })).toMatchObject({ label: "día", periodLabel: "1 día" });
+    expect(formatPeriod(2.5, { locale: "es" }).periodLabel).toBe("2,5 días");
+  });
+
+  it("formats getDuration and countCfsBusinessDays labels", () => {
+    const start = new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago");
+    const end = new TZDate(2024, 5, 25, 17, 0, 0, "America/Chicago");
+    expect(countCfsBusinessDays(start, end, []).periodLabel).toBe("1 week, 2 days");
+    const result = getDuration({ delivery_start: start.toISOString(), collection_start: end.toISOString() }, [], { labels: { locale: "es", style: "short" } });
+    expect(result.activePeriodLabel).toBe("1sem 2d");
+    expect(result.chargePeriodLabel).toBe("1sem 2d");
+  });
+
+  it("throws error for invalid input", () => {
+    expect(() => formatPeriod(-1)).toThrow("days must be a non-negative number");
+    expect(() => formatPeriod(NaN)).toThrow("days must be a non-negative number");
+    expect(() => formatPeriod(1, { unit: "year" })).toThrow("unit must be one of: mixed, day, week, month");
+    expect(() => formatPeriod(1, { rounding: "ceil" })).toThrow("rounding must be one of");
+    expect(() => formatPeriod(1, { style: "tiny" })).toThrow("style must be one of: long, short");
+    expect(() => formatPeriod(1, { locale: "not a locale!" })).toThrow("locale must be a valid BCP 47 locale");
+  });
+});
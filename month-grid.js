@@ -0,0 +1,189 @@
+/**
+ * @cfs/date-helpers - month grid
+ *
+ * Builds the cells of a date picker month in one pass. Holidays are compiled once and every
+ * flag is a day-number lookup, so a render no longer calls isHoliday per cell; the selected
+ * rental's charge days come from getDuration's explain ledger, so the picker agrees with the
+ * quote.
+ */
+
+import { isBefore } from "date-fns";
+import { TZDate } from "@date-fns/tz";
+
+import { getCalendarSettings, resolveHolidays, resolveNow } from "./calendar.js";
+import { InvalidArgumentError } from "./errors.js";
+import {
+  dayNumberFromKey,
+  dayNumberToKey,
+  getHolidayEntry,
+  isBusinessDayNumber,
+  isCompiledHolidays,
+  isHolidayDayNumber,
+  toDayNumber,
+  weekdayOfDayNumber,
+} from "./holidays.js";
+import { getDefaultStartDateAt, getDuration } from "./core.js";
+import { parseDateInput } from "./inputs.js";
+
+const GRID_WEEKS = 6;
+
+/**
+ * Parse a minDate / maxDate bound to its day number
+ * @param {DateInput} value - Bound date
+ * @param {string} field - Option name for error details
+ * @param {string} timeZone - Calendar time zone
+ * @returns {number|null} Day number, or null when the bound is not set
+ * @throws {InvalidDateError} If the value is not a date input
+ */
+function parseBoundDay(value, field, timeZone) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return toDayNumber(parseDateInput(value, field, timeZone, `${field} must be a valid date object or ISO date string`), timeZone);
+}
+
+/**
+ * Work out the selected range's days and the charge share of each day
+ * @param {object} range - Order dates object; collection_start may be missing mid-selection
+ * @param {object} compiled - Compiled holiday index
+ * @param {object} calendar - Settings from getCalendarSettings
+ * @param {object} options - buildMonthGrid options
+ * @returns {{ startDay: number, endDay: number, charges: Map<number, number>, chargeDays: number|null }}
+ * @throws {DateHelpersError} If a date is unparseable or the range is reversed
+ */
+function resolveSelection(range, compiled, calendar, options) {
+  if (typeof range !== "object") {
+    throw new InvalidArgumentError("selectedRange must be an order dates object", { field: "selectedRange", value: range });
+  }
+  const parse = (field) =>
+    parseDateInput(range[field], `selectedRange.${field}`, calendar.timeZone, `selectedRange.${field} is not a valid date string`);
+
+  const delivery = parse("delivery_start");
+  if (!range.collection_start) {
+    const day = toDayNumber(delivery, calendar.timeZone);
+    return { startDay: day, endDay: day, charges: new Map(), chargeDays: null };
+  }
+  const collection = parse("collection_start");
+  if (isBefore(collection, delivery)) {
+    throw new InvalidArgumentError("selectedRange.collection_start is before selectedRange.delivery_start", {
+      field: "selectedRange.collection_start",
+      value: range.collection_start,
+    });
+  }
+
+  const duration = getDuration(range, compiled, { calendar: options.calendar, proration: options.proration, explain: true });
+  const charges = new Map();
+  for (const entry of duration.ledger) {
+    if (entry.chargeable) {
+      charges.set(dayNumberFromKey(entry.date), entry.charge);
+    }
+  }
+  return {
+    startDay: toDayNumber(delivery, calendar.timeZone),
+    endDay: toDayNumber(collection, calendar.timeZone),
+    charges,
+    chargeDays: duration.chargeDays,
+  };
+}
+
+/**
+ * Build a calendar-month grid of day descriptors for a date picker
+ *
+ * The grid is always six weeks, starting on `weekStartsOn`, so the picker doesn't change height.
+ * Each day descriptor has:
+ * - `date` (TZDate, midnight in the calendar's time zone), `key` ("YYYY-MM-DD"), `day` (day of month), `weekday`
+ * - `inMonth`, `isToday`, `isDisabled` (before minDate or after maxDate)
+ * - `isWeekend` (a non-working weekday), `isHoliday`, `holiday` (the holidays entry or null), `isBusinessDay`
+ * - `isDefaultStart` (the day getDefaultStartDate picks)
+ * - `isInRange`, `isRangeStart`, `isRangeEnd`, `isRangeEdge` for the selected delivery → collection days
+ * - `chargeDayIndex` (1 for the rental's first chargeable day, and so on; null for days not charged) and
+ *   `charge` (the day's share, below 1 when prorated)
+ * @param {number} year - Full year, e.g. 2025
+ * @param {number} month - Month, 1-12
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {object} [options.selectedRange] - Order dates object for the selected rental, as for getDuration;
+ *   collection_start may be left out while the user is still picking
+ * @param {object|string} [options.minDate] - First selectable day
+ * @param {object|string} [options.maxDate] - Last selectable day
+ * @param {number} [options.weekStartsOn] - First weekday of each row, 0 (Sunday) to 6 (default 0)
+ * @param {boolean|object} [options.proration] - Proration policy for the selected range's charge, as for getDuration
+ * @param {object|number|Function} [options.now] - Current moment, for isToday and isDefaultStart
+ * @returns {{ year: number, month: number, weeks: Array<Array<object>>, chargeDays: number|null }} chargeDays is the
+ *   selected rental's getDuration chargeDays, or null without a complete range
+ * @throws {DateHelpersError} If year, month or an option is invalid, or holidays is not an array
+ */
+export function buildMonthGrid(year, month, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  if (!Number.isInteger(year) || year < 1 || year > 9999) {
+    throw new InvalidArgumentError("year must be a whole number from 1 to 9999", { field: "year", value: year });
+  }
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw new InvalidArgumentError("month must be a whole number from 1 to 12", { field: "month", value: month });
+  }
+  if (!Array.isArray(holidays) && !isCompiledHolidays(holidays)) {
+    throw new InvalidArgumentError("holidays must be an array", { field: "holidays", value: holidays });
+  }
+  const { weekStartsOn = 0 } = options;
+  if (!Number.isInteger(weekStartsOn) || weekStartsOn < 0 || weekStartsOn > 6) {
+    throw new InvalidArgumentError("weekStartsOn must be a whole number from 0 to 6", { field: "weekStartsOn", value: weekStartsOn });
+  }
+  const compiled = resolveHolidays(holidays, calendar);
+
+  const now = resolveNow(calendar, options);
+  const today = toDayNumber(now, calendar.timeZone);
+  const defaultStart = toDayNumber(getDefaultStartDateAt(now, compiled, { calendar: options.calendar }), calendar.timeZone);
+  const minDay = parseBoundDay(options.minDate, "minDate", calendar.timeZone);
+  const maxDay = parseBoundDay(options.maxDate, "maxDate", calendar.timeZone);
+  const selection = options.selectedRange ? resolveSelection(options.selectedRange, compiled, calendar, options) : null;
+
+  const firstOfMonth = dayNumberFromKey(`${String(year).padStart(4, "0")}-${String(month).padStart(2, "0")}-01`);
+  const gridStart = firstOfMonth - ((weekdayOfDayNumber(firstOfMonth) - weekStartsOn + 7) % 7);
+
+  const chargeIndexes = new Map();
+  if (selection) {
+    let index = 0;
+    for (const day of [...selection.charges.keys()].sort((a, b) => a - b)) {
+      chargeIndexes.set(day, ++index);
+    }
+  }
+
+  const weeks = [];
+  for (let week = 0; week < GRID_WEEKS; week++) {
+    const days = [];
+    for (let offset = 0; offset < 7; offset++) {
+      const dayNumber = gridStart + week * 7 + offset;
+      const key = dayNumberToKey(dayNumber);
+      const [keyYear, keyMonth, keyDate] = key.split("-").map(Number);
+      const weekday = weekdayOfDayNumber(dayNumber);
+      const inRange = Boolean(selection) && dayNumber >= selection.startDay && dayNumber <= selection.endDay;
+      const isRangeStart = inRange && dayNumber === selection.startDay;
+      const isRangeEnd = inRange && dayNumber === selection.endDay && Boolean(options.selectedRange.collection_start);
+
+      days.push({
+        date: new TZDate(keyYear, keyMonth - 1, keyDate, calendar.timeZone),
+        key,
+        day: keyDate,
+        weekday,
+        inMonth: keyYear === year && keyMonth === month,
+        isToday: dayNumber === today,
+        isDisabled: (minDay !== null && dayNumber < minDay) || (maxDay !== null && dayNumber > maxDay),
+        isWeekend: !calendar.workingDays.includes(weekday),
+        isHoliday: isHolidayDayNumber(compiled, dayNumber),
+        holiday: getHolidayEntry(compiled, dayNumber),
+        isBusinessDay: isBusinessDayNumber(compiled, dayNumber),
+        isDefaultStart: dayNumber === defaultStart,
+        isInRange: inRange,
+        isRangeStart,
+        isRangeEnd,
+        isRangeEdge: isRangeStart || isRangeEnd,
+        chargeDayIndex: chargeIndexes.has(dayNumber) ? chargeIndexes.get(dayNumber) : null,
+        charge: selection && selection.charges.has(dayNumber) ? selection.charges.get(dayNumber) : 0,
+      });
+    }
+    weeks.push(days);
+  }
+
+  return { year, month, weeks, chargeDays: selection ? selection.chargeDays : null };
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import { TZDate } from "@date-fns/tz";
+import { buildMonthGrid } from "./month-grid.js";
+import { createBusinessCalendar, InvalidArgumentError, InvalidDateError } from "./index.js";
+
+// June 2024 starts on a Saturday; Wednesday the 19th is a holiday
+const holidays = ["2024-06-19"];
+const now = new TZDate(2024, 5, 3, 10, 0, 0, "America/Chicago");
+const cell = (grid, key) => grid.weeks.flat().find((day) => day.key === key);
+
+describe("buildMonthGrid", () => {
+  it("returns six weeks starting on Sunday with month and business-day flags", () => {
+    const grid = buildMonthGrid(2024, 6, holidays, { now });
+    expect(grid.weeks).toHaveLength(6);
+    expect(grid.weeks.every((week) => week.length === 7)).toBe(true);
+    expect(grid.weeks[0][0].key).toBe("2024-05-26");
+    expect(grid.weeks[5][6].key).toBe("2024-07-06");
+    expect(grid.chargeDays).toBeNull();
+
+    expect(cell(grid, "2024-05-31")).toMatchObject({ inMonth: false, isBusinessDay: true, weekday: 5 });
+    expect(cell(grid, "2024-06-01")).toMatchObject({ inMonth: true, day: 1, isWeekend: true, isBusinessDay: false, isHoliday: false });
+    expect(cell(grid, "2024-06-19")).toMatchObject({ isHoliday: true, holiday: "2024-06-19", isWeekend: false, isBusinessDay: false });
+    expect(cell(grid, "2024-06-19").date).toEqual(new TZDate(2024, 5, 19, "America/Chicago"));
+  });
+
+  it("marks today and the default start using the same-day cutoff", () => {
+    const grid = buildMonthGrid(2024, 6, holidays, { now });
+    expect(cell(grid, "2024-06-03")).toMatchObject({ isToday: true, isDefaultStart: false });
+    expect(cell(grid, "2024-06-04")).toMatchObject({ isToday: false, isDefaultStart: true });
+
+    // Before the cutoff on the day before the holiday, after it the default skips to Thursday
+    expect(cell(buildMonthGrid(2024, 6, holidays, { now: new TZDate(2024, 5, 18, 7, 0, 0, "America/Chicago") }), "2024-06-18").isDefaultStart).toBe(true);
+    expect(cell(buildMonthGrid(2024, 6, holidays, { now: new TZDate(2024, 5, 18, 9, 0, 0, "America/Chicago") }), "2024-06-20").isDefaultStart).toBe(true);
+  });
+
+  it("numbers the selected rental's chargeable days", () => {
+    const grid = buildMonthGrid(2024, 6, holidays, {
+      now,
+      selectedRange: { delivery_start: new TZDate(2024, 5, 14, 9, 0, 0, "America/Chicago").toISOString(), collection_start: new TZDate(2024, 5, 21, 14, 0, 0, "America/Chicago").toISOString() },
+    });
+    expect(grid.chargeDays).toBe(5);
+    const range = grid.weeks.flat().filter((day) => day.isInRange);
+    expect(range.map(({ key, chargeDayIndex }) => [key.slice(8), chargeDayIndex])).toEqual([
+      ["14", 1],
+      ["15", null],
+      ["16", null],
+      ["17", 2],
+      ["18", 3],
+      ["19", null],
+      ["20", 4],
+      ["21", 5],
+    ]);
+    expect(cell(grid, "2024-06-14")).toMatchObject({ isRangeStart: true, isRangeEnd: false, isRangeEdge: true, charge: 1 });
+    expect(cell(grid, "2024-06-21")).toMatchObject({ isRangeStart: false, isRangeEnd: true, isRangeEdge: true });
+    expect(cell(grid, "2024-06-18")).toMatchObject({ isRangeEdge: false });
+    expect(cell(grid, "2024-06-13")).toMatchObject({ isInRange: false, chargeDayIndex: null, charge: 0 });
+  });
+
+  it("follows getDuration for off-hire days and proration", () => {
+    const grid = buildMonthGrid(2024, 6, holidays, {
+      now,
+      proration: true,
+      selectedRange: {
+        delivery_start: new TZDate(2024, 5, 17, 13, 0, 0, "America/Chicago").toISOString(),
+        collection_start: new TZDate(2024, 5, 21, 14, 0, 0, "America/Chicago").toISOString(),
+        off_hire: [{ start: new TZDate(2024, 5, 18, 0, 0, 0, "America/Chicago").toISOString(), end: new TZDate(2024, 5, 18, 23, 0, 0, "America/Chicago").toISOString() }],
+      },
+    });
+    expect(cell(grid, "2024-06-17")).toMatchObject({ chargeDayIndex: 1, charge: 0.5 });
+    expect(cell(grid, "2024-06-18")).toMatchObject({ isInRange: true, chargeDayIndex: null, charge: 0 });
+    expect(cell(grid, "2024-06-20").chargeDayIndex).toBe(2);
+    expect(grid.chargeDays).toBe(2.5);
+  });
+
+  it("shows a half-picked range as its start day", () => {
+    const grid = buildMonthGrid(2024, 6, holidays, { now, selectedRange: { delivery_start: new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago").toISOString() } });
+    expect(cell(grid, "2024-06-17")).toMatchObject({ isInRange: true, isRangeStart: true, isRangeEnd: false, isRangeEdge: true, chargeDayIndex: null });
+    expect(grid.weeks.flat().filter((day) => day.isInRange)).toHaveLength(1);
+    expect(grid.chargeDays).toBeNull();
+  });
+
+  it("disables days outside minDate and maxDate", () => {
+    const grid = buildMonthGrid(2024, 6, holidays, { now, minDate: new TZDate(2024, 5, 4, 9, 0, 0, "America/Chicago"), maxDate: "2024-06-28" });
+    expect(cell(grid, "2024-06-03").isDisabled).toBe(true);
+    expect(cell(grid, "2024-06-04").isDisabled).toBe(false);
+    expect(cell(grid, "2024-06-28").isDisabled).toBe(false);
+    expect(cell(grid, "2024-06-29").isDisabled).toBe(true);
+  });
+
+  it("starts weeks on weekStartsOn and uses the calendar's working days and holidays", () => {
+    const calendar = createBusinessCalendar({ workingDays: [1, 2, 3, 4, 5, 6], holidays: ["2024-06-10"] });
+    const grid = calendar.buildMonthGrid(2024, 6, undefined, { now, weekStartsOn: 1 });
+    expect(grid.weeks[0][0].key).toBe("2024-05-27");
+    expect(cell(grid, "2024-06-01")).toMatchObject({ isWeekend: false, isBusinessDay: true });
+    expect(cell(grid, "2024-06-10").isHoliday).toBe(true);
+  });
+
+  it("throws typed errors for invalid arguments", () => {
+    expect(() => buildMonthGrid(2024, 13, holidays)).toThrow(expect.objectContaining({ name: "InvalidArgumentError", field: "month" }));
+    expect(() => buildMonthGrid(2024.5, 6, holidays)).toThrow(expect.objectContaining({ field: "year" }));
+    expect(() => buildMonthGrid(2024, 6, null)).toThrow(expect.objectContaining({ field: "holidays" }));
+    expect(() => buildMonthGrid(2024, 6, holidays, { weekStartsOn: 7 })).toThrow(InvalidArgumentError);
+    expect(() => buildMonthGrid(2024, 6, holidays, { minDate: "soon" })).toThrow(InvalidDateError);
+    expect(() =>
+      buildMonthGrid(2024, 6, holidays, { selectedRange: { delivery_start: new TZDate(2024, 5, 21, 9, 0, 0, "America/Chicago").toISOString(), collection_start: new TZDate(2024, 5, 17, 9, 0, 0, "America/Chicago").toISOString() } })
+    ).toThrow(expect.objectContaining({ field: "selectedRange.collection_start" }));
+    expect(() => buildMonthGrid(2024, 6, holidays, { selectedRange: { delivery_start: "later" } })).toThrow(
+      expect.objectContaining({ name: "InvalidDateError", field: "selectedRange.delivery_start" })
+    );
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * @cfs/date-helpers - booking ranges
+ *
+ * Interval helpers for checking equipment availability. A range is an order dates object
+ * (delivery_start → collection_start ISO strings, parsed in the calendar's time zone like
+ * getDuration does); ranges are compared as instants, and turnaround between rentals is
+ * counted in business days.
+ */
+
+import { isAfter, isBefore } from "date-fns";
+
+import { getCalendarSettings, resolveHolidays, resolveNow } from "./calendar.js";
+import { InvalidArgumentError } from "./errors.js";
+import { isCompiledHolidays } from "./holidays.js";
+import { addBusinessDays, countCfsBusinessDays } from "./core.js";
+import { parseDateInput } from "./inputs.js";
+
+/**
+ * Parse one range's delivery_start and collection_start
+ * @param {object} range - Object with delivery_start and collection_start ISO strings
+ * @param {string} field - Argument name for error details, e.g. "bookings[2]"
+ * @param {string} timeZone - Calendar time zone
+ * @returns {{ start: object, end: object, range: object }} TZDates with the original range
+ * @throws {DateHelpersError} If the range is not an object, a date is unparseable, or it ends before it starts
+ */
+function parseRange(range, field, timeZone) {
+  if (!range || typeof range !== "object") {
+    throw new InvalidArgumentError(`${field} must be an object with delivery_start and collection_start`, { field, value: range });
+  }
+  const [start, end] = ["delivery_start", "collection_start"].map((key) => {
+    return parseDateInput(range[key], `${field}.${key}`, timeZone, `${field}.${key} is not a valid date string`);
+  });
+  if (isBefore(end, start)) {
+    throw new InvalidArgumentError(`${field}.collection_start is before ${field}.delivery_start`, {
+      field: `${field}.collection_start`,
+      value: range.collection_start,
+    });
+  }
+  return { start, end, range };
+}
+
+/**
+ * Parse a list of ranges, sorted by start
+ * @param {Array<object>} ranges - Ranges to parse
+ * @param {string} field - Argument name for error details
+ * @param {string} timeZone - Calendar time zone
+ * @returns {Array<{ start: object, end: object, range: object }>}
+ * @throws {DateHelpersError} If ranges is not an array or a range is invalid
+ */
+function parseRanges(ranges, field, timeZone) {
+  if (!Array.isArray(ranges)) {
+    throw new InvalidArgumentError(`${field} must be an array`, { field, value: ranges });
+  }
+  return ranges
+    .map((range, index) => parseRange(range, `${field}[${index}]`, timeZone))
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Build a range object from parsed dates
+ * @param {object} start - Range start
+ * @param {object|null} end - Range end, or null when open-ended
+ * @returns {{ delivery_start: string, collection_start: string|null }}
+ */
+function toRange(start, end) {
+  return { delivery_start: start.toISOString(), collection_start: end ? end.toISOString() : null };
+}
+
+/**
+ * Test if two ranges overlap
+ * Ranges that only touch (one collected the moment the other is delivered) do not overlap.
+ * @param {object} a - Range with delivery_start and collection_start ISO strings
+ * @param {object} b - Range with delivery_start and collection_start ISO strings
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar, for strings without an offset
+ * @returns {boolean} True if the ranges share any moment
+ * @throws {DateHelpersError} If either range is invalid
+ */
+export function rangesOverlap(a, b, options = {}) {
+  const { timeZone } = getCalendarSettings(options.calendar);
+  const first = parseRange(a, "a", timeZone);
+  const second = parseRange(b, "b", timeZone);
+  return isBefore(first.start, second.end) && isBefore(second.start, first.end);
+}
+
+/**
+ * Merge overlapping and touching ranges
+ * @param {Array<object>} ranges - Ranges with delivery_start and collection_start ISO strings
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar, for strings without an offset
+ * @returns {Array<{ delivery_start: string, collection_start: string }>} Merged ranges in order, as UTC ISO strings
+ * @throws {DateHelpersError} If ranges is not an array or a range is invalid
+ */
+export function mergeRanges(ranges, options = {}) {
+  const { timeZone } = getCalendarSettings(options.calendar);
+  const merged = [];
+  for (const { start, end } of parseRanges(ranges, "ranges", timeZone)) {
+    const last = merged[merged.length - 1];
+    if (last && !isAfter(start, last.end)) {
+      if (isAfter(end, last.end)) {
+        last.end = end;
+      }
+    } else {
+      merged.push({ start, end });
+    }
+  }
+  return merged.map(({ start, end }) => toRange(start, end));
+}
+
+/**
+ * Remove one set of ranges from another
+ * Each remaining piece keeps the other properties (e.g. an id) of the range it came from.
+ * @param {Array<object>} ranges - Ranges with delivery_start and collection_start ISO strings
+ * @param {Array<object>} removals - Ranges to cut out
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar, for strings without an offset
+ * @returns {Array<object>} Remaining pieces in order, with UTC ISO strings
+ * @throws {DateHelpersError} If either list is not an array or a range is invalid
+ */
+export function subtractRanges(ranges, removals, options = {}) {
+  const { timeZone } = getCalendarSettings(options.calendar);
+  const cuts = mergeRanges(removals, options).map((range) => parseRange(range, "removals", timeZone));
+
+  const pieces = [];
+  for (const { start, end, range } of parseRanges(ranges, "ranges", timeZone)) {
+    let cursor = start;
+    for (const cut of cuts) {
+      if (!isBefore(cut.start, end)) {
+        break;
+      }
+      if (!isAfter(cut.end, cursor)) {
+        continue;
+      }
+      if (isBefore(cursor, cut.start)) {
+        pieces.push({ ...range, ...toRange(cursor, cut.start) });
+      }
+      cursor = cut.end;
+    }
+    if (isBefore(cursor, end)) {
+      pieces.push({ ...range, ...toRange(cursor, end) });
+    }
+  }
+  return pieces;
+}
+
+/**
+ * Parse a from/to bound
+ * @param {DateInput} value - Bound value
+ * @param {string} field - Option name for error details
+ * @param {string} timeZone - Calendar time zone
+ * @returns {object} Parsed date
+ * @throws {InvalidDateError} If the value is not a date input
+ */
+function parseBound(value, field, timeZone) {
+  return parseDateInput(value, field, timeZone, `${field} must be a valid date object or ISO date string`);
+}
+
+/**
+ * Find the windows between bookings when a piece of equipment is free to rent
+ *
+ * Each window starts `turnaroundBusinessDays` business days after a booking is collected and ends
+ * the same number of business days before the next delivery, so prep time on both sides respects
+ * weekends and holidays. `businessDays` is what a rental filling the window would be charged, as
+ * counted by countCfsBusinessDays; windows with fewer than `minBusinessDays` are left out.
+ * @param {Array<object>} bookings - Ranges with delivery_start and collection_start ISO strings, in any order
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {object|string} [options.from] - Start of the search, defaults to now (see options.now)
+ * @param {object|string} [options.to] - End of the search; without it the last window is open-ended
+ * @param {number} [options.minBusinessDays] - Shortest window to return, in business days (default 1)
+ * @param {number} [options.turnaroundBusinessDays] - Prep time between rentals, in business days (default 0)
+ * @param {object|number|Function} [options.now] - Current moment when from is not given
+ * @returns {Array<{ delivery_start: string, collection_start: string|null, businessDays: number|null }>} Free
+ *   windows in order, as UTC ISO strings; an open-ended window has collection_start and businessDays null
+ * @throws {DateHelpersError} If bookings or an option is invalid, or holidays is not an array
+ */
+export function findAvailableWindows(bookings, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  if (!Array.isArray(holidays) && !isCompiledHolidays(holidays)) {
+    throw new InvalidArgumentError("holidays must be an array", { field: "holidays", value: holidays });
+  }
+  const { minBusinessDays = 1, turnaroundBusinessDays = 0 } = options;
+  for (const [field, value] of [["minBusinessDays", minBusinessDays], ["turnaroundBusinessDays", turnaroundBusinessDays]]) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new InvalidArgumentError(`${field} must be a whole number`, { field, value });
+    }
+  }
+  const compiled = resolveHolidays(holidays, calendar);
+  const from = options.from === undefined ? resolveNow(calendar, options) : parseBound(options.from, "from", calendar.timeZone);
+  const to = options.to === undefined ? null : parseBound(options.to, "to", calendar.timeZone);
+  if (to && isBefore(to, from)) {
+    throw new InvalidArgumentError("to must not be before from", { field: "to", value: options.to });
+  }
+
+  const busy = mergeRanges(bookings, options).map((range) => parseRange(range, "bookings", calendar.timeZone));
+  const shift = (date, amount) => addBusinessDays(date, amount, compiled, { calendar: options.calendar });
+
+  const gaps = [];
+  let cursor = from;
+  for (const booking of busy) {
+    const end = shift(booking.start, -turnaroundBusinessDays);
+    gaps.push({ start: cursor, end });
+    const free = shift(booking.end, turnaroundBusinessDays);
+    if (isAfter(free, cursor)) {
+      cursor = free;
+    }
+  }
+  gaps.push({ start: cursor, end: to });
+
+  const windows = [];
+  for (const gap of gaps) {
+    const end = to && (gap.end === null || isAfter(gap.end, to)) ? to : gap.end;
+    if (end === null) {
+      windows.push({ ...toRange(gap.start, null), businessDays: null });
+      continue;
+    }
+    if (!isBefore(gap.start, end)) {
+      continue;
+    }
+    const businessDays = countCfsBusinessDays(gap.start, end, compiled, { calendar: options.calendar }).days;
+    if (businessDays >= minBusinessDays) {
+      windows.push({ ...toRange(gap.start, end), businessDays });
+    }
+  }
+  return windows;
+}
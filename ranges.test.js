@@ -0,0 +1,153 @@
+import { describe, it, expect } from "vitest";
+import { TZDate } from "@date-fns/tz";
+import { findAvailableWindows, mergeRanges, rangesOverlap, subtractRanges } from "./ranges.js";
+import { createBusinessCalendar, InvalidArgumentError, InvalidDateError } from "./index.js";
+
+// June 2024: the 3rd, 10th, 17th and 24th are Mondays
+const range = (startDay, startHour, endDay, endHour, extra = {}) => ({
+  delivery_start: new TZDate(2024, 5, startDay, startHour, 0, 0, "America/Chicago").toISOString(),
+  collection_start: new TZDate(2024, 5, endDay, endHour, 0, 0, "America/Chicago").toISOString(),
+  ...extra,
+});
+const holidays = ["2024-06-19"];
+
+describe("rangesOverlap", () => {
+  it("detects shared moments", () => {
+    expect(rangesOverlap(range(3, 9, 5, 14), range(5, 9, 7, 14))).toBe(true);
+    expect(rangesOverlap(range(3, 9, 7, 14), range(4, 9, 5, 14))).toBe(true);
+    expect(rangesOverlap(range(3, 9, 4, 14), range(5, 9, 7, 14))).toBe(false);
+  });
+
+  it("treats touching ranges as not overlapping", () => {
+    expect(rangesOverlap(range(3, 9, 5, 14), range(5, 14, 7, 14))).toBe(false);
+  });
+
+  it("parses strings without an offset in the calendar's time zone", () => {
+    const a = { delivery_start: "2024-06-03T09:00", collection_start: "2024-06-03T12:00" };
+    const b = { delivery_start: "2024-06-03T15:00:00Z", collection_start: "2024-06-03T18:00:00Z" };
+    expect(rangesOverlap(a, b)).toBe(true);
+
+    const tokyo = createBusinessCalendar({ timeZone: "Asia/Tokyo" });
+    expect(tokyo.rangesOverlap(a, b)).toBe(false);
+  });
+
+  it("throws typed errors for invalid ranges", () => {
+    expect(() => rangesOverlap(range(3, 9, 5, 14), { delivery_start: "soon", collection_start: "2024-06-05T09:00:00.000-05:00" })).toThrow(
+      expect.objectContaining({ name: "InvalidDateError", field: "b.delivery_start", value: "soon" })
+    );
+    expect(() => rangesOverlap(range(5, 9, 3, 14), range(3, 9, 5, 14))).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", field: "a.collection_start", message: "a.collection_start is before a.delivery_start" })
+    );
+    expect(() => rangesOverlap(null, range(3, 9, 5, 14))).toThrow(InvalidArgumentError);
+  });
+});
+
+describe("mergeRanges", () => {
+  it("merges overlapping and touching ranges in order", () => {
+    const merged = mergeRanges([range(10, 9, 12, 14), range(3, 9, 5, 14), range(5, 14, 6, 10), range(4, 9, 4, 14)]);
+    expect(merged).toEqual([
+      { delivery_start: "2024-06-03T09:00:00.000-05:00", collection_start: "2024-06-06T10:00:00.000-05:00" },
+      { delivery_start: "2024-06-10T09:00:00.000-05:00", collection_start: "2024-06-12T14:00:00.000-05:00" },
+    ]);
+  });
+
+  it("returns an empty list for no ranges", () => {
+    expect(mergeRanges([])).toEqual([]);
+  });
+
+  it("names the bad entry in errors", () => {
+    expect(() => mergeRanges([range(3, 9, 5, 14), { delivery_start: "2024-06-03T09:00:00.000-05:00" }])).toThrow(
+      expect.objectContaining({ name: "InvalidDateError", field: "ranges[1].collection_start" })
+    );
+    expect(() => mergeRanges("2024-06-03")).toThrow(InvalidArgumentError);
+  });
+});
+
+describe("subtractRanges", () => {
+  it("cuts removals out of each range and keeps its other fields", () => {
+    const hold = range(3, 8, 14, 16, { id: "hold-1" });
+    const pieces = subtractRanges([hold], [range(5, 9, 7, 14), range(4, 12, 5, 12), range(12, 9, 20, 9)]);
+    expect(pieces).toEqual([
+      { id: "hold-1", delivery_start: "2024-06-03T08:00:00.000-05:00", collection_start: "2024-06-04T12:00:00.000-05:00" },
+      { id: "hold-1", delivery_start: "2024-06-07T14:00:00.000-05:00", collection_start: "2024-06-12T09:00:00.000-05:00" },
+    ]);
+  });
+
+  it("drops ranges that are fully covered and keeps ones untouched", () => {
+    const pieces = subtractRanges([range(3, 9, 4, 14), range(17, 9, 18, 9)], [range(3, 8, 5, 9)]);
+    expect(pieces).toEqual([{ delivery_start: "2024-06-17T09:00:00.000-05:00", collection_start: "2024-06-18T09:00:00.000-05:00" }]);
+  });
+});
+
+describe("findAvailableWindows", () => {
+  const bookings = [range(17, 9, 18, 14), range(5, 9, 7, 14)];
+
+  it("finds the gaps between bookings within the search range", () => {
+    const windows = findAvailableWindows(bookings, holidays, { from: "2024-06-03T00:00:00.000-05:00", to: "2024-06-28T16:00:00.000-05:00" });
+    expect(windows).toEqual([
+      { delivery_start: "2024-06-03T00:00:00.000-05:00", collection_start: "2024-06-05T09:00:00.000-05:00", businessDays: 3 },
+      { delivery_start: "2024-06-07T14:00:00.000-05:00", collection_start: "2024-06-17T09:00:00.000-05:00", businessDays: 7 },
+      { delivery_start: "2024-06-18T14:00:00.000-05:00", collection_start: "2024-06-28T16:00:00.000-05:00", businessDays: 8 },
+    ]);
+  });
+
+  it("keeps turnaround business days clear on both sides, skipping weekends and holidays", () => {
+    const windows = findAvailableWindows(bookings, holidays, {
+      from: "2024-06-03T00:00:00.000-05:00",
+      to: "2024-06-28T16:00:00.000-05:00",
+      turnaroundBusinessDays: 1,
+    });
+    expect(windows).toEqual([
+      { delivery_start: "2024-06-03T00:00:00.000-05:00", collection_start: "2024-06-04T09:00:00.000-05:00", businessDays: 2 },
+      // Collected Friday the 7th → free Monday the 10th; delivered Monday the 17th → busy from Friday the 14th
+      { delivery_start: "2024-06-10T14:00:00.000-05:00", collection_start: "2024-06-14T09:00:00.000-05:00", businessDays: 5 },
+      // Collected Tuesday the 18th, Wednesday the 19th is a holiday → free Thursday the 20th
+      { delivery_start: "2024-06-20T14:00:00.000-05:00", collection_start: "2024-06-28T16:00:00.000-05:00", businessDays: 7 },
+    ]);
+  });
+
+  it("ignores returnAs and other unrelated options", () => {
+    const options = { from: "2024-06-03T00:00:00.000-05:00", to: "2024-06-28T16:00:00.000-05:00", turnaroundBusinessDays: 1 };
+    expect(findAvailableWindows(bookings, holidays, { ...options, returnAs: "iso" })).toEqual(findAvailableWindows(bookings, holidays, options));
+  });
+
+  it("drops windows shorter than minBusinessDays", () => {
+    const windows = findAvailableWindows(bookings, holidays, {
+      from: "2024-06-03T00:00:00.000-05:00",
+      to: "2024-06-28T16:00:00.000-05:00",
+      turnaroundBusinessDays: 1,
+      minBusinessDays: 3,
+    });
+    expect(windows.map(({ businessDays }) => businessDays)).toEqual([5, 7]);
+  });
+
+  it("leaves the last window open-ended without a to bound and starts from now by default", () => {
+    const windows = findAvailableWindows(bookings, holidays, { now: new Date("2024-06-06T12:00:00.000-05:00") });
+    expect(windows).toEqual([
+      { delivery_start: "2024-06-07T14:00:00.000-05:00", collection_start: "2024-06-17T09:00:00.000-05:00", businessDays: 7 },
+      { delivery_start: "2024-06-18T14:00:00.000-05:00", collection_start: null, businessDays: null },
+    ]);
+  });
+
+  it("uses the calendar's holidays when bound", () => {
+    const calendar = createBusinessCalendar({ holidays: ["2024-06-10"] });
+    const windows = calendar.findAvailableWindows(bookings, undefined, {
+      from: "2024-06-03T00:00:00.000-05:00",
+      to: "2024-06-17T00:00:00.000-05:00",
+      turnaroundBusinessDays: 1,
+    });
+    expect(windows[1]).toEqual({ delivery_start: "2024-06-11T14:00:00.000-05:00", collection_start: "2024-06-14T09:00:00.000-05:00", businessDays: 4 });
+  });
+
+  it("throws typed errors for invalid options", () => {
+    expect(() => findAvailableWindows(bookings, holidays, { minBusinessDays: 1.5 })).toThrow(
+      expect.objectContaining({ name: "InvalidArgumentError", field: "minBusinessDays" })
+    );
+    expect(() => findAvailableWindows(bookings, holidays, { turnaroundBusinessDays: -1 })).toThrow(InvalidArgumentError);
+    expect(() => findAvailableWindows(bookings, holidays, { from: "whenever" })).toThrow(InvalidDateError);
+    expect(() => findAvailableWindows(bookings, holidays, { from: "2024-06-10T00:00:00.000-05:00", to: "2024-06-03T00:00:00.000-05:00" })).toThrow(
+      expect.objectContaining({ field: "to" })
+    );
+    expect(() => findAvailableWindows(bookings, null)).toThrow(expect.objectContaining({ field: "holidays" }));
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * @cfs/date-helpers - rental charges
+ *
+ * Turns a duration from getDuration or countCfsBusinessDays into a priced line-item
+ * breakdown, so quotes and invoices in every app do the same math.
+ */
+
+import { InvalidArgumentError } from "./errors.js";
+
+const BUSINESS_DAYS_PER_WEEK = 5;
+
+const ROUNDING_MODES = ["half-up", "up", "down"];
+
+/**
+ * Default rate card settings; only dayRate has no default
+ */
+export const DEFAULT_RATE_CARD = Object.freeze({
+  weeklyRate: null,
+  daysPerWeekCharged: 3,
+  capDaysAtWeeklyRate: true,
+  monthlyCap: null,
+  daysPerMonth: 20,
+  minimumDays: 0,
+  rounding: Object.freeze({ increment: 0.01, mode: "half-up" }),
+});
+
+/**
+ * Validate a rate card and fill in defaults
+ * @param {object} rateCard - Rate card
+ * @returns {object} Rate card with every field set
+ * @throws {InvalidArgumentError} If a field is invalid
+ */
+function normalizeRateCard(rateCard) {
+  if (!rateCard || typeof rateCard !== "object") {
+    throw new InvalidArgumentError("rateCard must be a non-null object", { field: "rateCard", value: rateCard });
+  }
+  const card = { ...DEFAULT_RATE_CARD, ...rateCard };
+  card.rounding = { ...DEFAULT_RATE_CARD.rounding, ...rateCard.rounding };
+
+  const isAmount = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+  if (!isAmount(card.dayRate)) {
+    throw new InvalidArgumentError("rateCard.dayRate must be a non-negative number", { field: "rateCard.dayRate", value: card.dayRate });
+  }
+  if (!isAmount(card.daysPerWeekCharged) || card.daysPerWeekCharged > BUSINESS_DAYS_PER_WEEK) {
+    throw new InvalidArgumentError(`rateCard.daysPerWeekCharged must be a number from 0 to ${BUSINESS_DAYS_PER_WEEK}`, { field: "rateCard.daysPerWeekCharged", value: card.daysPerWeekCharged });
+  }
+  if (card.weeklyRate === null) {
+    card.weeklyRate = card.dayRate * card.daysPerWeekCharged;
+  } else if (!isAmount(card.weeklyRate)) {
+    throw new InvalidArgumentError("rateCard.weeklyRate must be a non-negative number", { field: "rateCard.weeklyRate", value: card.weeklyRate });
+  }
+  if (card.monthlyCap !== null && !isAmount(card.monthlyCap)) {
+    throw new InvalidArgumentError("rateCard.monthlyCap must be a non-negative number", { field: "rateCard.monthlyCap", value: card.monthlyCap });
+  }
+  if (!Number.isInteger(card.daysPerMonth) || card.daysPerMonth < 1) {
+    throw new InvalidArgumentError("rateCard.daysPerMonth must be a whole number of at least 1", { field: "rateCard.daysPerMonth", value: card.daysPerMonth });
+  }
+  if (!isAmount(card.minimumDays)) {
+    throw new InvalidArgumentError("rateCard.minimumDays must be a non-negative number", { field: "rateCard.minimumDays", value: card.minimumDays });
+  }
+  if (!isAmount(card.rounding.increment) || card.rounding.increment === 0) {
+    throw new InvalidArgumentError("rateCard.rounding.increment must be a positive number", { field: "rateCard.rounding.increment", value: card.rounding.increment });
+  }
+  if (!ROUNDING_MODES.includes(card.rounding.mode)) {
+    throw new InvalidArgumentError(`rateCard.rounding.mode must be one of: ${ROUNDING_MODES.join(", ")}`, { field: "rateCard.rounding.mode", value: card.rounding.mode });
+  }
+  return card;
+}
+
+/**
+ * Round an amount to the rate card's increment
+ * @param {number} amount - Amount to round
+ * @param {{ increment: number, mode: string }} rounding - Rounding rule
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount, rounding) {
+  const { increment, mode } = rounding;
+  // Strip float noise (e.g. 300.00000000000006) before rounding up or down
+  const steps = Number((amount / increment).toFixed(9));
+  let rounded;
+  if (mode === "up") {
+    rounded = Math.ceil(steps);
+  } else if (mode === "down") {
+    rounded = Math.floor(steps);
+  } else {
+    rounded = Math.round(steps);
+  }
+  const decimals = Math.max(0, Math.ceil(-Math.log10(increment)));
+  return Number((rounded * increment).toFixed(decimals));
+}
+
+/**
+ * Price whole weeks and remaining days
+ * @param {number} days - Business days to price
+ * @param {object} card - Normalized rate card
+ * @returns {Array<object>} Unrounded line items
+ */
+function priceWeeksAndDays(days, card) {
+  const items = [];
+  const weeks = Math.floor(days / BUSINESS_DAYS_PER_WEEK);
+  const remainder = days - weeks * BUSINESS_DAYS_PER_WEEK;
+
+  if (weeks > 0) {
+    items.push({ type: "week", quantity: weeks, days: weeks * BUSINESS_DAYS_PER_WEEK, unitRate: card.weeklyRate, amount: weeks * card.weeklyRate, capped: false });
+  }
+  if (remainder > 0) {
+    const amount = remainder * card.dayRate;
+    const capped = card.capDaysAtWeeklyRate && amount > card.weeklyRate;
+    items.push({ type: "day", quantity: remainder, days: remainder, unitRate: card.dayRate, amount: capped ? card.weeklyRate : amount, capped });
+  }
+  return items;
+}
+
+/**
+ * Calculate the rental charge for a duration under a rate card
+ *
+ * Days are priced as full weeks × weeklyRate plus remaining days × dayRate. Remaining days
+ * never cost more than a week when capDaysAtWeeklyRate is set. With a monthlyCap, each full
+ * block of daysPerMonth business days costs at most the cap, and so does the part-month remainder.
+ * @param {object|number} duration - Result of getDuration (uses chargeDays), result of
+ *   countCfsBusinessDays (uses days), or a number of chargeable business days
+ * @param {object} rateCard - Rate card
+ * @param {number} rateCard.dayRate - Price of one chargeable day
+ * @param {number} [rateCard.weeklyRate] - Price of a 5-business-day week, defaults to dayRate × daysPerWeekCharged
+ * @param {number} [rateCard.daysPerWeekCharged] - Days charged per week when weeklyRate is not set (default 3)
+ * @param {boolean} [rateCard.capDaysAtWeeklyRate] - Charge remaining days at most one weekly rate (default true)
+ * @param {number} [rateCard.monthlyCap] - Most charged for one billing month
+ * @param {number} [rateCard.daysPerMonth] - Business days in a billing month for monthlyCap (default 20)
+ * @param {number} [rateCard.minimumDays] - Fewest days charged (default 0)
+ * @param {{ increment: number, mode: "half-up"|"up"|"down" }} [rateCard.rounding] - Rounding of each line item (default cents, half-up)
+ * @returns {{ chargeDays: number, billedDays: number, minimumApplied: boolean, lineItems: Array<object>, total: number }}
+ * @throws {InvalidArgumentError} If duration has no usable day count or the rate card is invalid
+ */
+export function calculateRentalCharge(duration, rateCard) {
+  let chargeDays = duration;
+  if (duration && typeof duration === "object") {
+    chargeDays = duration.chargeDays !== undefined ? duration.chargeDays : duration.days;
+  }
+  if (typeof chargeDays !== "number" || !Number.isFinite(chargeDays) || chargeDays < 0) {
+    throw new InvalidArgumentError("duration must be a non-negative number of days, or an object with chargeDays or days", { field: "duration", value: duration });
+  }
+  const card = normalizeRateCard(rateCard);
+
+  const billedDays = Math.max(chargeDays, card.minimumDays);
+  let items = [];
+
+  const monthPrice = (card.daysPerMonth / BUSINESS_DAYS_PER_WEEK) * card.weeklyRate;
+  const monthCapApplies = card.monthlyCap !== null && card.monthlyCap < monthPrice;
+  const months = monthCapApplies ? Math.floor(billedDays / card.daysPerMonth) : 0;
+
+  if (months > 0) {
+    items.push({ type: "month", quantity: months, days: months * card.daysPerMonth, unitRate: card.monthlyCap, amount: months * card.monthlyCap, capped: true });
+  }
+
+  const remainder = billedDays - months * card.daysPerMonth;
+  const remainderItems = priceWeeksAndDays(remainder, card);
+  const remainderAmount = remainderItems.reduce((sum, item) => sum + item.amount, 0);
+
+  if (card.monthlyCap !== null && remainderAmount > card.monthlyCap) {
+    items.push({ type: "month", quantity: 1, days: remainder, unitRate: card.monthlyCap, amount: card.monthlyCap, capped: true });
+  } else {
+    items = items.concat(remainderItems);
+  }
+
+  const lineItems = items.map((item) => ({ ...item, amount: roundAmount(item.amount, card.rounding) }));
+  const total = roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0), card.rounding);
+
+  return {
+    chargeDays,
+    billedDays,
+    minimumApplied: billedDays > chargeDays,
+    lineItems,
+    total,
+  };
+}
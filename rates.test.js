@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import { calculateRentalCharge } from "./rates.js";
+import { getDuration } from "./index.js";
+
+describe("calculateRentalCharge", () => {
+  const rateCard = { dayRate: 100 };
+
+  it("charges single days at the day rate", () => {
+    const result = calculateRentalCharge(2, rateCard);
+    expect(result.lineItems).toEqual([
+      { type: "day", quantity: 2, days: 2, unitRate: 100, amount: 200, capped: false },
+    ]);
+    expect(result.total).toBe(200);
+  });
+
+  it("charges full weeks at a 3-day week by default", () => {
+    const result = calculateRentalCharge(5, rateCard);
+    expect(result.lineItems).toEqual([
+      { type: "week", quantity: 1, days: 5, unitRate: 300, amount: 300, capped: false },
+    ]);
+    expect(result.total).toBe(300);
+  });
+
+  it("breaks a duration into full weeks plus remaining days", () => {
+    const result = calculateRentalCharge(12, rateCard);
+    expect(result.lineItems.map((item) => [item.type, item.quantity, item.amount])).toEqual([
+      ["week", 2, 600],
+      ["day", 2, 200],
+    ]);
+    expect(result.total).toBe(800);
+  });
+
+  it("caps remaining days at the weekly rate", () => {
+    const result = calculateRentalCharge(9, rateCard);
+    expect(result.lineItems[1]).toEqual({ type: "day", quantity: 4, days: 4, unitRate: 100, amount: 300, capped: true });
+    expect(result.total).toBe(600);
+    const uncapped = calculateRentalCharge(9, { ...rateCard, capDaysAtWeeklyRate: false });
+    expect(uncapped.total).toBe(700);
+  });
+
+  it("uses an explicit weekly rate or days-per-week factor", () => {
+    expect(calculateRentalCharge(10, { dayRate: 100, weeklyRate: 350 }).total).toBe(700);
+    expect(calculateRentalCharge(10, { dayRate: 100, daysPerWeekCharged: 4 }).total).toBe(800);
+  });
+
+  it("applies the minimum charge days", () => {
+    const result = calculateRentalCharge(1, { ...rateCard, minimumDays: 2 });
+    expect(result.chargeDays).toBe(1);
+    expect(result.billedDays).toBe(2);
+    expect(result.minimumApplied).toBe(true);
+    expect(result.total).toBe(200);
+  });
+
+  it("caps full billing months at the monthly cap", () => {
+    // 45 days: 2 months of 20 days capped at 1000, then 1 week
+    const result = calculateRentalCharge(45, { ...rateCard, monthlyCap: 1000 });
+    expect(result.lineItems.map((item) => [item.type, item.quantity, item.days, item.amount])).toEqual([
+      ["month", 2, 40, 2000],
+      ["week", 1, 5, 300],
+    ]);
+    expect(result.total).toBe(2300);
+  });
+
+  it("caps a part-month remainder at the monthly cap", () => {
+    // 19 days would be 3 weeks + 4 days (capped) = 1200, above the 1000 cap
+    const result = calculateRentalCharge(19, { ...rateCard, monthlyCap: 1000 });
+    expect(result.lineItems).toEqual([
+      { type: "month", quantity: 1, days: 19, unitRate: 1000, amount: 1000, capped: true },
+    ]);
+  });
+
+  it("ignores a monthly cap above the normal monthly price", () => {
+    const result = calculateRentalCharge(20, { ...rateCard, monthlyCap: 5000 });
+    expect(result.lineItems).toEqual([
+      { type: "week", quantity: 4, days: 20, unitRate: 300, amount: 1200, capped: false },
+    ]);
+  });
+
+  it("rounds each line item to the rounding increment", () => {
+    const card = { dayRate: 33.333, rounding: { increment: 0.01, mode: "half-up" } };
+    expect(calculateRentalCharge(1, card).total).toBe(33.33);
+    expect(calculateRentalCharge(1, { ...card, rounding: { increment: 0.01, mode: "up" } }).total).toBe(33.34);
+    expect(calculateRentalCharge(1, { ...card, rounding: { increment: 1, mode: "down" } }).total).toBe(33);
+  });
+
+  it("returns zero for zero days", () => {
+    const result = calculateRentalCharge(0, rateCard);
+    expect(result.lineItems).toEqual([]);
+    expect(result.total).toBe(0);
+  });
+
+  it("accepts getDuration and countCfsBusinessDays results", () => {
+    const duration = getDuration({ delivery_start: "2024-06-17T14:00:00.000Z", collection_start: "2024-06-25T20:00:00.000Z" }, []);
+    expect(calculateRentalCharge(duration, rateCard).chargeDays).toBe(7);
+    expect(calculateRentalCharge({ days: 3 }, rateCard).chargeDays).toBe(3);
+  });
+
+  it("throws error for an unusable duration", () => {
+    expect(() => calculateRentalCharge(null, rateCard)).toThrow("duration must be a non-negative number of days");
+    expect(() => calculateRentalCharge({}, rateCard)).toThrow("duration must be a non-negative number of days");
+    expect(() => calculateRentalCharge(-1, rateCard)).toThrow("duration must be a non-negative number of days");
+  });
+
+  it("throws error for an invalid rate card", () => {
+    expect(() => calculateRentalCharge(1, null)).toThrow("rateCard must be a non-null object");
+    expect(() => calculateRentalCharge(1, {})).toThrow("rateCard.dayRate must be a non-negative number");
+    expect(() => calculateRentalCharge(1, { dayRate: 100, daysPerWeekCharged: 6 })).toThrow("rateCard.daysPerWeekCharged must be a number from 0 to 5");
+    expect(() => calculateRentalCharge(1, { dayRate: 100, monthlyCap: -1 })).toThrow("rateCard.monthlyCap must be a non-negative number");
+    expect(() => calculateRentalCharge(1, { dayRate: 100, rounding: { mode: "bankers" } })).toThrow("rateCard.rounding.mode must be one of");
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * @cfs/date-helpers - order date validation
+ *
+ * Checks an order's dates object before it reaches getDuration, so the manager form
+ * and the API reject (or warn about) the same problems with the same codes.
+ */
+
+import { isBefore } from "date-fns";
+
+import { getCalendarSettings, resolveHolidays } from "./calendar.js";
+import { DateHelpersError, InvalidArgumentError } from "./errors.js";
+import { HOLIDAY_TYPES, isCompiledHolidays } from "./holidays.js";
+import { getDuration, getHoliday, isBusinessDay, isOffHours } from "./core.js";
+import { toDateInput } from "./inputs.js";
+
+const DATE_FIELDS = ["delivery_start", "collection_start", "charge_start", "charge_end"];
+const SEVERITIES = ["error", "warning", "off"];
+
+/**
+ * Default severity of each validateOrderDates issue code
+ */
+export const ORDER_DATE_ISSUES = Object.freeze({
+  "missing-date": "error",
+  "invalid-date": "error",
+  "reversed-range": "error",
+  "charge-outside-active-window": "error",
+  "invalid-charge-segments": "error",
+  "span-too-long": "error",
+  "holiday": "warning",
+  "weekend": "warning",
+  "off-hours": "warning",
+  "no-chargeable-days": "warning",
+});
+
+/**
+ * Validate severity overrides and merge them over the defaults
+ * @param {object} [overrides] - Issue code → "error", "warning" or "off"
+ * @returns {object} Severity for every code
+ * @throws {InvalidArgumentError} If a code or severity is unknown
+ */
+function resolveSeverities(overrides) {
+  if (overrides === undefined) {
+    return ORDER_DATE_ISSUES;
+  }
+  if (!overrides || typeof overrides !== "object") {
+    throw new InvalidArgumentError("severity must be an object keyed by issue code", { field: "severity", value: overrides });
+  }
+  for (const [code, severity] of Object.entries(overrides)) {
+    if (!Object.hasOwn(ORDER_DATE_ISSUES, code)) {
+      throw new InvalidArgumentError(`severity has an unknown issue code: ${code}`, { field: `severity.${code}`, value: severity });
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new InvalidArgumentError(`severity.${code} must be one of: ${SEVERITIES.join(", ")}`, { field: `severity.${code}`, value: severity });
+    }
+  }
+  return { ...ORDER_DATE_ISSUES, ...overrides };
+}
+
+/**
+ * Validate an order's dates object
+ *
+ * Errors are problems getDuration would turn into a wrong charge: missing or unparseable dates,
+ * a collection before the delivery (or charge_end before charge_start), a charge window, charge segment or
+ * off-hire interval that starts before delivery or ends after collection, malformed or overlapping charge_segments / off_hire, and a range longer
+ * than getDuration accepts (options.maxSpanDays). Warnings flag a delivery or collection on a
+ * holiday that closes deliveries, a non-working day, or outside business hours, and an order with no chargeable days.
+ * Use `options.severity` to promote, demote or turn off any code.
+ * @param {object} dates - Order dates object with delivery_start, collection_start, and optional charge_start, charge_end (ISO strings)
+ * @param {Array<string|object>|object} holidays - Array of ISO date strings or holiday objects, or compiled holidays
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendar from createBusinessCalendar
+ * @param {object} [options.severity] - Issue code → "error", "warning" or "off", over ORDER_DATE_ISSUES
+ * @param {number} [options.maxSpanDays] - Longest range getDuration accepts, in calendar days (default 36525)
+ * @returns {{ valid: boolean, errors: Array<object>, warnings: Array<object> }} valid is true when there are no
+ *   errors; each issue is `{ code, field, message, value }`
+ * @throws {InvalidArgumentError} If dates is not an object, holidays is not an array, or severity is invalid
+ */
+export function validateOrderDates(dates, holidays, options = {}) {
+  const calendar = getCalendarSettings(options.calendar);
+  if (!dates || typeof dates !== "object") {
+    throw new InvalidArgumentError("dates must be a non-null object", { field: "dates", value: dates });
+  }
+  if (!Array.isArray(holidays) && !isCompiledHolidays(holidays)) {
+    throw new InvalidArgumentError("holidays must be an array", { field: "holidays", value: holidays });
+  }
+  const severities = resolveSeverities(options.severity);
+  const compiled = resolveHolidays(holidays, calendar);
+
+  const errors = [];
+  const warnings = [];
+  const report = (code, field, message, value = dates[field]) => {
+    const severity = severities[code];
+    if (severity === "off") {
+      return;
+    }
+    const issue = { code, field, message, value: value === undefined ? null : value };
+    (severity === "error" ? errors : warnings).push(issue);
+  };
+
+  const parsed = {};
+  let unparsed = false;
+  for (const field of DATE_FIELDS) {
+    const value = dates[field];
+    if (value === undefined || value === null || value === "") {
+      if (field === "delivery_start" || field === "collection_start") {
+        report("missing-date", field, `${field} is required`);
+      }
+      continue;
+    }
+    const date = toDateInput(value, calendar.timeZone);
+    if (!date) {
+      report("invalid-date", field, `${field} is not a valid date string`);
+      unparsed = true;
+      continue;
+    }
+    parsed[field] = date;
+  }
+
+  const { delivery_start: delivery, collection_start: collection } = parsed;
+  let reversed = false;
+
+  if (delivery && collection && isBefore(collection, delivery)) {
+    report("reversed-range", "collection_start", "collection_start is before delivery_start");
+    reversed = true;
+  }
+  if (parsed.charge_start && parsed.charge_end && isBefore(parsed.charge_end, parsed.charge_start)) {
+    report("reversed-range", "charge_end", "charge_end is before charge_start");
+    reversed = true;
+  }
+  if (parsed.charge_start && delivery && isBefore(parsed.charge_start, delivery)) {
+    report("charge-outside-active-window", "charge_start", "charge_start is before delivery_start");
+  }
+  if (parsed.charge_end && collection && isBefore(collection, parsed.charge_end)) {
+    report("charge-outside-active-window", "charge_end", "charge_end is after collection_start");
+  }
+  // Malformed intervals are left to getDuration, which reports them as invalid-charge-segments
+  for (const field of ["charge_segments", "off_hire"]) {
+    const intervals = Array.isArray(dates[field]) ? dates[field] : [];
+    for (const [index, interval] of intervals.entries()) {
+      const name = `${field}[${index}]`;
+      const start = interval && toDateInput(interval.start, calendar.timeZone);
+      const end = interval && toDateInput(interval.end, calendar.timeZone);
+      if (start && delivery && isBefore(start, delivery)) {
+        report("charge-outside-active-window", `${name}.start`, `${name}.start is before delivery_start`, interval.start);
+      }
+      if (end && collection && isBefore(collection, end)) {
+        report("charge-outside-active-window", `${name}.end`, `${name}.end is after collection_start`, interval.end);
+      }
+    }
+  }
+
+  for (const [field, date] of [["delivery_start", delivery], ["collection_start", collection]]) {
+    if (!date) {
+      continue;
+    }
+    const label = field === "delivery_start" ? "delivery" : "collection";
+    const holiday = getHoliday(date, compiled, options);
+    if (holiday && HOLIDAY_TYPES[holiday.type].stopsDeliveries) {
+      report("holiday", field, holiday.name ? `${label} falls on a holiday (${holiday.name})` : `${label} falls on a holiday`);
+    } else if (!isBusinessDay(date, compiled, options)) {
+      report("weekend", field, `${label} falls on a non-working day`);
+    } else if (isOffHours(date, options)) {
+      report("off-hours", field, `${label} is outside business hours`);
+    }
+  }
+
+  // Only a well-formed order gets a duration; the issues above already explain the rest
+  if (delivery && collection && !unparsed && !reversed) {
+    let duration = null;
+    try {
+      duration = getDuration(dates, compiled, { calendar: options.calendar, maxSpanDays: options.maxSpanDays });
+    } catch (error) {
+      // The dates above parsed and are in order, so getDuration can only reject charge_segments /
+      // off_hire, or a range longer than maxSpanDays
+      if (!(error instanceof DateHelpersError)) {
+        throw error;
+      }
+      if (/^(charge_segments|off_hire)\b/.test(error.field)) {
+        report("invalid-charge-segments", error.field, error.message, error.value);
+      } else if (error.field === "collection_start" || error.field === "charge_end") {
+        report("span-too-long", error.field, error.message, error.value);
+      } else {
+        throw error;
+      }
+    }
+    if (duration && duration.chargeDays <= 0) {
+      report("no-chargeable-days", parsed.charge_start ? "charge_start" : "delivery_start", "the charge window has no chargeable business days");
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
@@ -0,0 +1,136 @@
+import { describe, it, expect } from "vitest";
+import { ORDER_DATE_ISSUES, validateOrderDates } from "./validation.js";
+import { createBusinessCalendar } from "./index.js";
+
+// Monday June 17 → Friday June 21, 2024
+const holidays = ["2024-06-19"];
+
+describe("validateOrderDates", () => {
+  it("accepts a well-formed order", () => {
+    const result = validateOrderDates({ delivery_start: "2024-06-17T09:00:00.000-05:00", collection_start: "2024-06-21T14:00:00.000-05:00" }, holidays);
+    expect(result).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  it("reports missing and unparseable dates", () => {
+    const result = validateOrderDates({ delivery_start: "next tuesday", charge_end: true }, holidays);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { code: "invalid-date", field: "delivery_start", message: "delivery_start is not a valid date string", value: "next tuesday" },
+      { code: "missing-date", field: "collection_start", message: "collection_start is required", value: null },
+      { code: "invalid-date", field: "charge_end", message: "charge_end is not a valid date string", value: true },
+    ]);
+  });
+
+  it("reports reversed ranges", () => {
+    const result = validateOrderDates({
+      delivery_start: "2024-06-21T09:00:00.000-05:00",
+      collection_start: "2024-06-17T09:00:00.000-05:00",
+      charge_start: "2024-06-20T09:00:00.000-05:00",
+      charge_end: "2024-06-18T09:00:00.000-05:00",
+    }, holidays);
+    expect(result.errors.filter((issue) => issue.code === "reversed-range").map((issue) => issue.field)).toEqual(["collection_start", "charge_end"]);
+  });
+
+  it("reports a charge window outside the active window", () => {
+    const result = validateOrderDates({
+      delivery_start: "2024-06-18T09:00:00.000-05:00",
+      collection_start: "2024-06-20T09:00:00.000-05:00",
+      charge_start: "2024-06-17T09:00:00.000-05:00",
+      charge_end: "2024-06-21T09:00:00.000-05:00",
+    }, []);
+    expect(result.errors.map((issue) => [issue.code, issue.field])).toEqual([
+      ["charge-outside-active-window", "charge_start"],
+      ["charge-outside-active-window", "charge_end"],
+    ]);
+  });
+
+  it("warns about holiday, weekend and off-hours deliveries and collections", () => {
+    const result = validateOrderDates({ delivery_start: "2024-06-19T09:00:00.000-05:00", collection_start: "2024-06-22T09:00:00.000-05:00" }, holidays);
+    expect(result.valid).toBe(true);
+    expect(result.warnings.map((issue) => [issue.code, issue.field])).toEqual([
+      ["holiday", "delivery_start"],
+      ["weekend", "collection_start"],
+    ]);
+    const offHours = validateOrderDates({ delivery_start: "2024-06-17T06:00:00.000-05:00", collection_start: "2024-06-21T18:00:00.000-05:00" }, holidays);
+    expect(offHours.warnings.map((issue) => [issue.code, issue.field])).toEqual([
+      ["off-hours", "delivery_start"],
+      ["off-hours", "collection_start"],
+    ]);
+  });
+
+  it("warns when the charge window has no chargeable days", () => {
+    const result = validateOrderDates({ delivery_start: "2024-06-22T09:00:00.000-05:00", collection_start: "2024-06-23T09:00:00.000-05:00" }, holidays);
+    expect(result.warnings.map((issue) => issue.code)).toContain("no-chargeable-days");
+  });
+
+  it("reports charge segments and off-hire outside the active window", () => {
+    const result = validateOrderDates({
+      delivery_start: "2024-06-17T09:00:00.000-05:00",
+      collection_start: "2024-06-21T14:00:00.000-05:00",
+      charge_segments: [{ start: "2024-06-17T09:00:00.000-05:00", end: "2024-06-18T16:00:00.000-05:00" }, { start: "2024-07-01", end: "2024-07-30" }],
+    }, holidays);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([{
+      code: "charge-outside-active-window",
+      field: "charge_segments[1].end",
+      message: "charge_segments[1].end is after collection_start",
+      value: "2024-07-30",
+    }]);
+    const offHire = validateOrderDates({
+      delivery_start: "2024-06-17T09:00:00.000-05:00",
+      collection_start: "2024-06-21T14:00:00.000-05:00",
+      off_hire: [{ start: "2024-06-14", end: "2024-06-18" }],
+    }, holidays);
+    expect(offHire.errors.map((issue) => issue.field)).toEqual(["off_hire[0].start"]);
+  });
+
+  it("reports overlapping off-hire intervals", () => {
+    const result = validateOrderDates({
+      delivery_start: "2024-06-17T09:00:00.000-05:00",
+      collection_start: "2024-06-21T14:00:00.000-05:00",
+      off_hire: [{ start: "2024-06-18T09:00:00.000-05:00", end: "2024-06-19T09:00:00.000-05:00" }, { start: "2024-06-19T09:00:00.000-05:00", end: "2024-06-20T09:00:00.000-05:00" }],
+    }, holidays);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([{
+      code: "invalid-charge-segments",
+      field: "off_hire[1]",
+      message: "dates.off_hire must not overlap",
+      value: { start: "2024-06-19T09:00:00.000-05:00", end: "2024-06-20T09:00:00.000-05:00" },
+    }]);
+  });
+
+  it("reports an order longer than maxSpanDays as too long, not as bad segments", () => {
+    const result = validateOrderDates({ delivery_start: "1900-01-02T09:00:00-06:00", collection_start: "2100-01-04T09:00:00-06:00" }, []);
+    expect(result.errors).toEqual([{
+      code: "span-too-long",
+      field: "collection_start",
+      message: "delivery_start to collection_start spans more than 36525 days",
+      value: "2100-01-04T09:00:00-06:00",
+    }]);
+    const short = validateOrderDates({ delivery_start: "2024-06-17T09:00:00.000-05:00", collection_start: "2024-06-21T14:00:00.000-05:00" }, holidays, { maxSpanDays: 3 });
+    expect(short.errors.map((issue) => issue.code)).toEqual(["span-too-long"]);
+  });
+
+  it("applies severity overrides", () => {
+    const dates = { delivery_start: "2024-06-19T09:00:00.000-05:00", collection_start: "2024-06-21T09:00:00.000-05:00" };
+    const strict = validateOrderDates(dates, holidays, { severity: { holiday: "error" } });
+    expect(strict.valid).toBe(false);
+    expect(strict.errors[0].code).toBe("holiday");
+    const relaxed = validateOrderDates(dates, holidays, { severity: { holiday: "off" } });
+    expect(relaxed).toEqual({ valid: true, errors: [], warnings: [] });
+    expect(ORDER_DATE_ISSUES.holiday).toBe("warning");
+  });
+
+  it("uses the calendar's working days and holidays", () => {
+    const calendar = createBusinessCalendar({ workingDays: [1, 2, 3, 4, 5, 6], holidays });
+    const result = calendar.validateOrderDates({ delivery_start: "2024-06-19T09:00:00.000-05:00", collection_start: "2024-06-22T09:00:00.000-05:00" });
+    expect(result.warnings.map((issue) => issue.code)).toEqual(["holiday"]);
+  });
+
+  it("throws error for invalid arguments", () => {
+    expect(() => validateOrderDates(null, [])).toThrow("dates must be a non-null object");
+    expect(() => validateOrderDates({}, null)).toThrow("holidays must be an array");
+    expect(() => validateOrderDates({}, [], { severity: { typo: "error" } })).toThrow("severity has an unknown issue code: typo");
+    expect(() => validateOrderDates({}, [], { severity: { holiday: "fatal" } })).toThrow("severity.holiday must be one of: error, warning, off");
+  });
+});